@@ -1,16 +1,51 @@
 #! /usr/bin/env node
 
+import fs from 'node:fs/promises'
 import path from 'node:path'
 import { parseArgs, inspect } from 'node:util'
-import { splitPerProgramWithSingleSharedData } from '../src/main.mjs'
+import { findConfigFile, readConfigFile } from '../src/config-file.mjs'
+import { expandGlobs, findPrograms } from '../src/discover.mjs'
+import { split, stdin } from '../src/main.mjs'
+import { makeAndRun } from '../src/make.mjs'
+import { createDevServer } from '../src/serve.mjs'
+import { programFiles, splitOnChange } from '../src/watch.mjs'
+
+// `--no-<flag>` turns off a boolean flag that the config file turns on
+const booleans = ['manifest', 'mangle', 'minify', 'dry-run', 'watch', 'hmr', 'optimize', 'debug']
 
 /** @type { import('node:util').ParseArgsConfig} */
 const parser = {
     allowPositionals: true,
     options: {
-        report: { type: 'string', default: 'stdout' },
-        'dry-run': { type: 'boolean', default: false },
+        config: { type: 'string' },
+        report: { type: 'string' },
+        mode: { type: 'string' },
+        primary: { type: 'string' },
+        'min-chunk-size': { type: 'string' },
+        'min-chunk-size-metric': { type: 'string' },
+        'small-chunks': { type: 'string' },
+        pages: { type: 'string' },
+        chunks: { type: 'string' },
+        'duplicate-below': { type: 'string' },
+        'lock-file': { type: 'string' },
+        'out-dir': { type: 'string' },
+        'output-dir': { type: 'string' },
+        'file-names': { type: 'string' },
+        manifest: { type: 'boolean' },
+        imports: { type: 'string' },
+        mangle: { type: 'boolean' },
+        minify: { type: 'boolean' },
+        'dry-run': { type: 'boolean' },
+        watch: { type: 'boolean' },
+        port: { type: 'string' },
+        hmr: { type: 'boolean' },
+        compiler: { type: 'string' },
+        optimize: { type: 'boolean' },
+        debug: { type: 'boolean' },
         help: { type: 'boolean', default: false, short: 'h' },
+        ...Object.fromEntries(
+            booleans.map(name => [`no-${name}`, { type: /** @type {const} */ ('boolean') }]),
+        ),
     },
 }
 
@@ -18,30 +53,393 @@ function printHelp() {
     console.log('\nUsage:')
     const script = path.basename(import.meta.url, '.mjs')
     console.log(`  ${script} <options> <path/to/bundle.js>`)
+    console.log(`  ${script} <options> -`)
+    console.log(
+        '    reads the bundle from stdin, and writes the file of a single program to stdout',
+    )
+    console.log('    or the files of several programs into `--out-dir`')
+    console.log(`  ${script} <options> <path/to/index.html>`)
+    console.log('    splits the bundle of `elm make --output=index.html` and writes an HTML file')
+    console.log('    that imports the split files')
+    console.log(`  ${script} serve <options> <path/to/bundle.js>`)
+    console.log('    splits in watch mode, serves the output directory on `--port=8000` (default)')
+    console.log('    and reloads the open pages whenever an output file changed')
+    console.log(
+        '    `--hmr` replaces the running programs of a changed program file and keeps their state',
+    )
+    console.log(`  ${script} make <options> <path/to/Main.elm> --output-dir=<path>`)
+    console.log('    compiles the Elm files with `elm make` into one bundle and splits it,')
+    console.log(
+        '    globs like `src/Pages/**/*.elm` are expanded, and without any files it compiles',
+    )
+    console.log('    every module with a `main` in the `source-directories` of the `elm.json`')
+    console.log('    `--optimize` and `--debug` are passed to `elm make`')
+    console.log(
+        '    `--compiler=<path>` runs this Elm compiler instead of the `elm` found in the PATH',
+    )
     console.log('\nWith <options> one of')
+    console.log(
+        '  `--config=<path>` reads the options from this file instead of `split-elm-bundle.config.json`',
+    )
+    console.log(
+        '    or `split-elm-bundle.config.mjs` in the working directory or one of its parents,',
+    )
+    console.log('    the options passed to the CLI override the ones in the file,')
+    console.log(
+        '    and `--no-<flag>` turns off a flag like `--no-manifest` that the file turns on',
+    )
     console.log('  `--report=stdout` (default) will print log messages')
     console.log(
         '  `--report=json` will not print immediate logs, but only one JSON report in the end',
     )
     console.log('  `--dry-run` disables writing files to disk')
+    console.log(
+        '  `--watch` splits the files again whenever they change, and prints how the sizes changed',
+    )
+    console.log(
+        '  `--out-dir=<path>` or `--output-dir=<path>` writes all files into this directory instead of next to the input',
+    )
+    console.log(
+        '  `--file-names=<template>` names the output files, `[basename].[name].mjs` by default,',
+    )
+    console.log('    e.g. `[name]/index.mjs` or `elm-[program].[hash].mjs`')
+    console.log(
+        '  `--manifest` writes a `<basename>.manifest.json` with the file of every program and all files it imports',
+    )
+    console.log(
+        '  `--imports=named` imports shared code by name instead of `import * as shared` (default)',
+    )
+    console.log(
+        '  `--mangle` exports shared code with short aliases and writes them into a `<basename>.mangle.json`',
+    )
+    console.log(
+        '  `--minify` strips comments and whitespace and renames local variables of the written files',
+    )
+    console.log(
+        '  `--mode=shared` (default) writes one file per program that imports one shared file',
+    )
+    console.log(
+        '  `--mode=lazy` writes one entry file with the shared code that imports a program on `init`',
+    )
+    console.log(
+        '  `--mode=granular` writes one file per program and one shared file per set of programs',
+    )
+    console.log(
+        '  `--mode=layered` writes one file per program and splits the shared code into the files',
+    )
+    console.log('    `runtime` (Elm kernel code), `packages` (Elm packages) and `app` (your code)')
+    console.log(
+        '  `--mode=standalone` writes one self-contained file per program without a shared file',
+    )
+    console.log(
+        '  `--min-chunk-size=<bytes>` for `--mode=granular` handles chunks that are smaller',
+    )
+    console.log('  `--min-chunk-size-metric=gzip` (default) or `raw` picks the compared size')
+    console.log(
+        '  `--small-chunks=merge` (default) moves smaller chunks into the closest shared chunk,',
+    )
+    console.log('    and `--small-chunks=duplicate` copies them into every file that uses them')
+    console.log(
+        '  `--pages=<path/to/pages.json>` for `--mode=granular` groups shared code by the pages',
+    )
+    console.log('    that load it, e.g. `{ "index": ["Header", "Search"], "cart": ["Header"] }`')
+    console.log(
+        '  `--chunks=<path/to/chunks.json>` for `--mode=shared` puts the shared code of a group of',
+    )
+    console.log(
+        '    programs into its own chunk and pins declarations to a chunk, see the README for details',
+    )
+    console.log(
+        '  `--duplicate-below=<bytes>` for `--mode=shared` copies smaller shared code into every',
+    )
+    console.log('    program file that needs it instead of importing it')
+    console.log(
+        '  `--lock-file=<path/to/split.lock.json>` for `--mode=shared` keeps every declaration in',
+    )
+    console.log('    the file of the previous build if possible, and then updates the lock file')
+    console.log(
+        '  `--primary=<Program>` like `--mode=shared`, but the file of <Program> also imports the others on `init`',
+    )
     console.log()
 }
 
+/**
+ * The values of the CLI flags, and of the config file for all flags that were not passed.
+ * @typedef {Record<string, unknown>} Config
+ */
+
+/**
+ * @param {Config} config
+ * @param {Config} flags the CLI flags, which pick the mode over the config file
+ * @returns {Promise<import('../src/types/public.js').SplitOptions>}
+ */
+async function splitOptions(config, flags) {
+    const primary = config.primary === undefined ? undefined : String(config.primary)
+    const mode = config.mode === undefined ? (primary ? 'primary' : 'shared') : String(config.mode)
+    // when the CLI picks the mode, the options of the config file for other modes are dropped
+    const given = flags.mode !== undefined || flags.primary !== undefined ? flags : config
+    const sharedOptions = ['chunks', 'duplicate-below', 'lock-file']
+    const granularOptions = ['min-chunk-size', 'min-chunk-size-metric', 'small-chunks', 'pages']
+    switch (mode) {
+        case 'shared':
+            rejectOptions(given, mode, ['primary', ...granularOptions])
+            return {
+                mode,
+                chunks: await readChunks(config),
+                duplicateBelow: duplicateBelow(config),
+                lockFile:
+                    config['lock-file'] === undefined ? undefined : String(config['lock-file']),
+            }
+        case 'lazy':
+        case 'layered':
+        case 'standalone':
+            rejectOptions(given, mode, ['primary', ...sharedOptions, ...granularOptions])
+            return { mode }
+        case 'primary':
+            rejectOptions(given, mode, [...sharedOptions, ...granularOptions])
+            if (!primary) {
+                throw new Error(
+                    '`--mode=primary` needs the name of a program, e.g. `--primary=Main`',
+                )
+            }
+            return { mode, primary }
+        case 'granular':
+            rejectOptions(given, mode, ['primary', ...sharedOptions])
+            return { mode, minChunkSize: minChunkSize(config), pages: await readPages(config) }
+        default:
+            throw new Error(
+                `\`--mode=${mode}\` is not supported.\n` +
+                    'Pick one of these instead: shared, lazy, primary, granular, layered, standalone',
+            )
+    }
+}
+
+/**
+ * @param {Config} config
+ * @returns {import('../src/types/public.js').MinChunkSize|undefined}
+ */
+function minChunkSize(config) {
+    const value = config['min-chunk-size']
+    if (value === undefined) {
+        for (const name of ['min-chunk-size-metric', 'small-chunks']) {
+            if (config[name] !== undefined) {
+                throw new Error(`\`--${name}\` needs a \`--min-chunk-size\``)
+            }
+        }
+        return undefined
+    }
+    const bytes = Number(value)
+    if (!Number.isInteger(bytes) || bytes < 0) {
+        throw new Error(`\`--min-chunk-size=${value}\` needs to be a number of bytes`)
+    }
+    const metric = String(config['min-chunk-size-metric'] ?? 'gzip')
+    if (metric !== 'raw' && metric !== 'gzip') {
+        throw new Error(
+            `\`--min-chunk-size-metric=${metric}\` is not supported.\n` +
+                'Pick one of these instead: gzip, raw',
+        )
+    }
+    const strategy = String(config['small-chunks'] ?? 'merge')
+    if (strategy !== 'merge' && strategy !== 'duplicate') {
+        throw new Error(
+            `\`--small-chunks=${strategy}\` is not supported.\n` +
+                'Pick one of these instead: merge, duplicate',
+        )
+    }
+    return { bytes, metric, strategy }
+}
+
+/**
+ * @param {Config} config
+ * @returns {'namespace'|'named'}
+ */
+function importStyle(config) {
+    const imports = String(config.imports ?? 'namespace')
+    if (imports !== 'namespace' && imports !== 'named') {
+        throw new Error(
+            `\`--imports=${imports}\` is not supported.\n` +
+                'Pick one of these instead: namespace, named',
+        )
+    }
+    return imports
+}
+
+/**
+ * @param {Config} config
+ * @returns {number|undefined}
+ */
+function duplicateBelow(config) {
+    const value = config['duplicate-below']
+    if (value === undefined) return undefined
+    const bytes = Number(value)
+    if (!Number.isInteger(bytes) || bytes < 0) {
+        throw new Error(`\`--duplicate-below=${value}\` needs to be a number of bytes`)
+    }
+    return bytes
+}
+
+/**
+ * @param {Config} config
+ * @returns {Promise<import('../src/types/public.js').Pages|undefined>}
+ */
+async function readPages(config) {
+    if (config.pages === undefined) return undefined
+    const { source, content: pages } = await readJson(config.pages, 'pages')
+    const isValid =
+        typeof pages === 'object' &&
+        pages !== null &&
+        !Array.isArray(pages) &&
+        Object.values(pages).every(
+            programs => Array.isArray(programs) && programs.every(p => typeof p === 'string'),
+        )
+    if (!isValid) {
+        throw new Error(
+            `Expected ${source} to contain an object with a list of program names per page, ` +
+                'e.g. `{ "index": ["Header", "Search"] }`',
+        )
+    }
+    return pages
+}
+
+/**
+ * @param {Config} config
+ * @returns {Promise<import('../src/types/public.js').ChunkConfig|undefined>}
+ */
+async function readChunks(config) {
+    if (config.chunks === undefined) return undefined
+    const { source, content: chunks } = await readJson(config.chunks, 'chunks')
+    /** @param {unknown} value */
+    const isListPerName = value =>
+        value === undefined ||
+        (typeof value === 'object' &&
+            value !== null &&
+            !Array.isArray(value) &&
+            Object.values(value).every(
+                names => Array.isArray(names) && names.every(n => typeof n === 'string'),
+            ))
+    const isValid =
+        typeof chunks === 'object' &&
+        chunks !== null &&
+        Object.keys(chunks).every(key => key === 'groups' || key === 'pin') &&
+        isListPerName(chunks.groups) &&
+        isListPerName(chunks.pin)
+    if (!isValid) {
+        throw new Error(
+            `Expected ${source} to contain an object with the keys \`groups\` and \`pin\`, ` +
+                'e.g. `{ "groups": { "admin": ["UserAdmin", "Billing"] }, "pin": { "shared": ["$author$project$Icons$*"] } }`',
+        )
+    }
+    return chunks
+}
+
+/**
+ * @param {unknown} value a path to a JSON file, or its content from the config file
+ * @param {string} key of the config file
+ * @returns {Promise<{ source: string, content: any }>}
+ */
+async function readJson(value, key) {
+    if (typeof value === 'object') return { source: `\`${key}\``, content: value }
+    const file = String(value)
+    return { source: `\`${file}\``, content: JSON.parse(await fs.readFile(file, 'utf-8')) }
+}
+
+/**
+ * @param {Config} given the options that were passed together with the `mode`
+ * @param {string} mode
+ * @param {Array<string>} names of options that cannot be used in this `mode`
+ */
+function rejectOptions(given, mode, names) {
+    for (const name of names) {
+        if (given[name] !== undefined) {
+            throw new Error(`\`--${name}\` cannot be combined with \`--mode=${mode}\``)
+        }
+    }
+}
+
+/**
+ * Splits all `files` once and then again after every change, until the process is stopped.
+ *
+ * @param {Array<string>} files
+ * @param {import('../src/types/public.js').SideEffects} effects
+ * @param {import('../src/types/public.js').SplitOptions} options
+ * @param {(changed: Array<string>, result: import('../src/types/public.js').SplitResult) => void} [onChange]
+ *  is called with the output files that changed
+ * @returns {Promise<never>}
+ */
+async function watch(files, effects, options, onChange) {
+    await splitOnChange(files, file => split(file, effects, options), { onChange })
+    console.log(`Watching ${files.join(', ')} for changes, press Ctrl+C to stop`)
+    return new Promise(() => {})
+}
+
+/**
+ * Serves the output directory and reloads the open pages whenever an output file changed.
+ * With `--hmr`, only the running programs are replaced if no shared file changed.
+ *
+ * @param {Array<string>} files
+ * @param {Config} config
+ * @param {import('../src/types/public.js').SideEffects} effects
+ * @param {import('../src/types/public.js').SplitOptions} options
+ * @returns {Promise<never>}
+ */
+async function serve(files, config, effects, options) {
+    const port = Number(config.port ?? 8000)
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`\`--port=${config.port}\` needs to be a port number`)
+    }
+    const root = path.resolve(options.outDir ?? path.dirname(files[0]))
+    const { server, reload, update } = createDevServer({ root })
+    await new Promise(resolve => server.listen(port, 'localhost', () => resolve(undefined)))
+    console.log(`Serving ${root} on http://localhost:${port}`)
+
+    return watch(files, effects, options, (changed, result) => {
+        const urls = changed.map(file => '/' + path.relative(root, file).split(path.sep).join('/'))
+        const programs = programFiles(result)
+        if (options.hmr && changed.every(file => programs.includes(file))) {
+            console.log(`Replacing the programs of ${urls.join(', ')} in the open pages`)
+            update(urls)
+        } else {
+            console.log(`Reloading the open pages because ${urls.join(', ')} changed`)
+            reload(urls)
+        }
+    })
+}
+
 try {
-    const { positionals: files, values: config } = parseArgs(parser)
+    const { positionals, values: flags } = parseArgs(parser)
+    for (const name of booleans) {
+        if (!flags[`no-${name}`]) continue
+        if (flags[name]) throw new Error(`\`--${name}\` cannot be combined with \`--no-${name}\``)
+        flags[name] = false
+        delete flags[`no-${name}`]
+    }
+    const command =
+        positionals[0] === 'serve' || positionals[0] === 'make' ? positionals[0] : 'split'
 
-    if (config.help) {
+    if (flags.help) {
         printHelp()
         process.exit(0)
     }
 
-    if (!Array.isArray(files) || files.length === 0) {
+    const configFile =
+        flags.config === undefined
+            ? await findConfigFile(process.cwd())
+            : path.resolve(String(flags.config))
+    const fromFile = configFile ? await readConfigFile(configFile) : { input: [], flags: {} }
+    /** @type {Config} */
+    const config = { ...fromFile.flags, ...flags }
+    const passed = command === 'split' ? positionals : positionals.slice(1)
+    // the input of a config file are bundles, which `make` cannot compile
+    const files = passed.length > 0 || command === 'make' ? passed : fromFile.input
+
+    // without any files, `make` compiles every program of the `elm.json`
+    if (command !== 'make' && (!Array.isArray(files) || files.length === 0)) {
         console.error('You need to pass at least one .js file generated by the Elm compiler.')
         printHelp()
         process.exit(1)
     }
 
-    const report = typeof config.report === 'string' ? config.report : String(config.report)
+    const report = String(config.report ?? 'stdout')
     const allowedReport = ['stdout', 'json']
     if (!allowedReport.includes(report)) {
         console.error(`\`--report=${config.report}\` is not supported.`)
@@ -49,25 +447,128 @@ try {
         process.exit(1)
     }
 
+    if (configFile && report !== 'json') {
+        console.log(`Using the options of ${path.relative(process.cwd(), configFile)}`)
+    }
+
+    const outDir = config['out-dir'] ?? config['output-dir']
+    const options = {
+        ...(await splitOptions(config, flags)),
+        outDir: outDir === undefined ? undefined : String(outDir),
+        fileNames: config['file-names'] === undefined ? undefined : String(config['file-names']),
+        manifest: Boolean(config.manifest),
+        hmr: command === 'serve' && Boolean(config.hmr),
+        imports: importStyle(config),
+        mangle: Boolean(config.mangle),
+        minify: Boolean(config.minify),
+    }
+
+    if (files.includes(stdin) && files.length > 1) {
+        throw new Error(
+            '`-` reads the bundle from stdin, so it cannot be combined with other files',
+        )
+    }
+    // the program of a bundle from stdin is written to stdout, so nothing else may be printed there
+    const toStdout = files.includes(stdin) && options.outDir === undefined
+    if (toStdout && report === 'json') {
+        throw new Error('`-` with `--report=json` needs an `--out-dir` to write the files into')
+    }
+
     /** @type {import('../src/types/public.js').SideEffects} */
     const effects = {
-        printLogs: report !== 'json',
+        printLogs: report !== 'json' && !config.watch && command !== 'serve' && !toStdout,
         writeFiles: !config['dry-run'],
     }
 
-    const genericError = 'I can only split a `.js` file generated by the Elm compiler.'
+    // a config file may contain them for `serve`, and still be used to only split
+    const serveOnly = ['port', 'hmr'].find(
+        name => flags[name] !== undefined && flags[name] !== false,
+    )
+    if (command !== 'serve' && serveOnly) {
+        throw new Error(`\`--${serveOnly}\` can only be used with \`serve\``)
+    }
+    if (options.hmr && options.fileNames?.includes('[hash]')) {
+        // the open pages still import the old file name of a changed program
+        throw new Error('`--hmr` cannot be combined with a `[hash]` in `--file-names`')
+    }
+    const makeOnly = ['compiler', 'optimize', 'debug'].find(
+        name => flags[name] !== undefined && flags[name] !== false,
+    )
+    if (command !== 'make' && makeOnly) {
+        throw new Error(`\`--${makeOnly}\` can only be used with \`make\``)
+    }
+
+    if (command === 'make') {
+        if (config.watch) {
+            throw new Error(
+                '`make` cannot be combined with `--watch`, run `elm make` yourself and watch its bundle instead',
+            )
+        }
+        if (options.outDir === undefined) {
+            throw new Error('`make` needs an `--output-dir=<path>` for the split files')
+        }
+        const makeOptions = {
+            compiler: config.compiler === undefined ? undefined : String(config.compiler),
+            optimize: Boolean(config.optimize),
+            debug: Boolean(config.debug),
+            quiet: report === 'json',
+        }
+        const programs = files.length > 0 ? await expandGlobs(files) : await findPrograms()
+        if (report !== 'json' && programs.join(' ') !== files.join(' ')) {
+            console.log(`Compiling ${programs.join(' ')}`)
+        }
+        const exitCode = await makeAndRun(programs, makeOptions, async bundle => {
+            const result = await split(bundle, effects, options)
+            if (report === 'json') {
+                console.log(JSON.stringify(result, undefined, 2))
+            }
+            if (result.result === 'error') {
+                if (!effects.printLogs && report !== 'json') console.error(result.message)
+                process.exitCode = 1
+            }
+        })
+        process.exit(exitCode || process.exitCode)
+    }
+
+    if (config.watch || command === 'serve') {
+        const name = command === 'serve' ? '`serve`' : '`--watch`'
+        if (report === 'json') {
+            throw new Error(`${name} cannot be combined with \`--report=json\``)
+        }
+        const other = files.find(file => !['.js', '.html'].includes(path.extname(file)))
+        if (other) {
+            throw new Error(
+                `${name} can only watch \`.js\` and \`.html\` files, but got \`${other}\``,
+            )
+        }
+        if (command === 'serve') {
+            await serve(files, config, effects, options)
+        } else {
+            await watch(files, effects, options)
+        }
+    }
+
+    const genericError = 'I can only split a `.js` or `.html` file generated by the Elm compiler.'
     for (const file of files) {
-        let fileExtension = path.extname(file)
+        let fileExtension = file === stdin ? '.js' : path.extname(file)
         switch (fileExtension) {
             case '.elm':
                 console.error(genericError)
-                console.error(`Run e.g. \`elm make --output=bundle.js ${files.join(' ')}\` first.`)
+                console.error(
+                    `Run e.g. \`split-elm-bundle make ${files.join(' ')} --output-dir=dist\` instead.`,
+                )
                 process.exit(1)
             case '.js':
-                const result = await splitPerProgramWithSingleSharedData(file, effects)
+            case '.html':
+                const result = await split(file, effects, options)
                 if (report === 'json') {
                     console.log(JSON.stringify(result, undefined, 2))
                 }
+                if (file === stdin && result.result === 'error') {
+                    // otherwise a pipeline would continue with an empty stdout
+                    if (!effects.printLogs && report !== 'json') console.error(result.message)
+                    process.exit(1)
+                }
                 break
             default:
                 console.error(`
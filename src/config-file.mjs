@@ -0,0 +1,244 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { pathToFileURL } from 'node:url'
+
+export const configFileNames = ['split-elm-bundle.config.json', 'split-elm-bundle.config.mjs']
+
+/**
+ * - `path` is relative to the directory of the config file
+ * - `paths` is one path or a list of paths
+ * - `path-or-object` is a path to a JSON file, or its content
+ *
+ * @typedef {'string' | 'number' | 'boolean' | 'path' | 'paths' | 'path-or-object'} ValueType
+ */
+
+/**
+ * Every key of a config file is also a CLI flag in kebab-case, e.g. `outDir` is `--out-dir`.
+ * Only `input` is passed as positional arguments instead.
+ *
+ * @type {Record<string, { type: ValueType, oneOf?: ReadonlyArray<string> }>}
+ */
+const schema = {
+    input: { type: 'paths' },
+    report: { type: 'string', oneOf: ['stdout', 'json'] },
+    dryRun: { type: 'boolean' },
+    mode: {
+        type: 'string',
+        oneOf: ['shared', 'lazy', 'primary', 'granular', 'layered', 'standalone'],
+    },
+    primary: { type: 'string' },
+    outDir: { type: 'path' },
+    fileNames: { type: 'string' },
+    manifest: { type: 'boolean' },
+    imports: { type: 'string', oneOf: ['namespace', 'named'] },
+    mangle: { type: 'boolean' },
+    minify: { type: 'boolean' },
+    chunks: { type: 'path-or-object' },
+    duplicateBelow: { type: 'number' },
+    lockFile: { type: 'path' },
+    minChunkSize: { type: 'number' },
+    minChunkSizeMetric: { type: 'string', oneOf: ['gzip', 'raw'] },
+    smallChunks: { type: 'string', oneOf: ['merge', 'duplicate'] },
+    pages: { type: 'path-or-object' },
+    watch: { type: 'boolean' },
+    port: { type: 'number' },
+    hmr: { type: 'boolean' },
+    compiler: { type: 'string' },
+    optimize: { type: 'boolean' },
+    debug: { type: 'boolean' },
+}
+
+/**
+ * @typedef ConfigFile
+ * @prop {string} file
+ * @prop {Array<string>} input the bundles to split if none were passed to the CLI
+ * @prop {Record<string, unknown>} flags the values of all other keys by the name of their CLI flag
+ */
+
+/**
+ * Looks for a config file in `directory` and then in all of its parents.
+ *
+ * @param {string} directory
+ * @returns {Promise<string|undefined>}
+ */
+export async function findConfigFile(directory) {
+    for (let current = path.resolve(directory); ; current = path.dirname(current)) {
+        const found = []
+        for (const name of configFileNames) {
+            const file = path.join(current, name)
+            if (await isFile(file)) found.push(file)
+        }
+        if (found.length > 1) {
+            throw new Error(`Found ${found.join(' and ')}, please remove one of them`)
+        }
+        if (found.length === 1) return found[0]
+        if (path.dirname(current) === current) return undefined
+    }
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<boolean>}
+ */
+async function isFile(file) {
+    try {
+        return (await fs.stat(file)).isFile()
+    } catch {
+        return false
+    }
+}
+
+/**
+ * @param {string} file a `.json` file, or an `.mjs` file with a default export
+ * @param {string} [cwd] paths in the config file are made relative to it
+ * @returns {Promise<ConfigFile>}
+ */
+export async function readConfigFile(file, cwd = process.cwd()) {
+    /** @type {unknown} */
+    let content
+    if (path.extname(file) === '.mjs') {
+        content = (await import(pathToFileURL(path.resolve(file)).href)).default
+    } else {
+        try {
+            content = JSON.parse(await fs.readFile(file, 'utf-8'))
+        } catch (ex) {
+            const reason = ex instanceof Error ? ex.message : String(ex)
+            throw new Error(`Could not read the config file ${file}: ${reason}`)
+        }
+    }
+    return validateConfig(content, file, cwd)
+}
+
+/**
+ * Checks every key and value, and collects all problems into one error.
+ *
+ * @param {unknown} content
+ * @param {string} file
+ * @param {string} cwd
+ * @returns {ConfigFile}
+ */
+export function validateConfig(content, file, cwd) {
+    if (typeof content !== 'object' || content === null || Array.isArray(content)) {
+        throw new Error(
+            `The config file ${file} needs to contain an object, e.g. \`{ "mode": "shared" }\``,
+        )
+    }
+    /** @param {string} value */
+    const resolve = value => path.relative(cwd, path.resolve(path.dirname(file), value)) || '.'
+
+    /** @type {Array<string>} */
+    const problems = []
+    /** @type {Array<string>} */
+    let input = []
+    /** @type {Record<string, unknown>} */
+    const flags = {}
+    for (const [key, value] of Object.entries(content)) {
+        const expected = schema[key]
+        if (!expected) {
+            problems.push(unknownKey(key))
+            continue
+        }
+        const problem = checkValue(key, value, expected)
+        if (problem) {
+            problems.push(problem)
+        } else if (key === 'input') {
+            input = (Array.isArray(value) ? value : [value]).map(resolve)
+        } else if (
+            expected.type === 'path' ||
+            (expected.type === 'path-or-object' && typeof value === 'string')
+        ) {
+            flags[kebabCase(key)] = resolve(String(value))
+        } else {
+            flags[kebabCase(key)] = value
+        }
+    }
+    if (problems.length > 0) {
+        throw new Error(
+            `The config file ${file} is not valid:\n` +
+                problems.map(problem => `  - ${problem}`).join('\n'),
+        )
+    }
+    return { file, input, flags }
+}
+
+/**
+ * @param {string} key
+ * @param {unknown} value
+ * @param {{ type: ValueType, oneOf?: ReadonlyArray<string> }} expected
+ * @returns {string|undefined} the problem with the value
+ */
+function checkValue(key, value, { type, oneOf }) {
+    const got = JSON.stringify(value)
+    switch (type) {
+        case 'string':
+        case 'path':
+            if (typeof value !== 'string') return `\`${key}\` needs to be a string, but got ${got}`
+            if (oneOf && !oneOf.includes(value)) {
+                return `\`${key}\` cannot be ${got}, pick one of these instead: ${oneOf.join(', ')}`
+            }
+            return undefined
+        case 'number':
+            return Number.isInteger(value) && Number(value) >= 0
+                ? undefined
+                : `\`${key}\` needs to be a positive whole number, but got ${got}`
+        case 'boolean':
+            return typeof value === 'boolean'
+                ? undefined
+                : `\`${key}\` needs to be true or false, but got ${got}`
+        case 'paths':
+            return typeof value === 'string' ||
+                (Array.isArray(value) && value.every(v => typeof v === 'string'))
+                ? undefined
+                : `\`${key}\` needs to be a path or a list of paths, but got ${got}`
+        case 'path-or-object':
+            return typeof value === 'string' ||
+                (typeof value === 'object' && value !== null && !Array.isArray(value))
+                ? undefined
+                : `\`${key}\` needs to be a path to a JSON file or an object, but got ${got}`
+    }
+}
+
+/**
+ * @param {string} key
+ * @returns {string} a message that suggests the closest known key
+ */
+function unknownKey(key) {
+    /** @param {string} name */
+    const normalize = name => name.toLowerCase().replace(/[-_]/g, '')
+    const known = Object.keys(schema)
+    const suggestion =
+        known.find(name => normalize(name) === normalize(key)) ??
+        known
+            .map(name => ({ name, distance: editDistance(normalize(name), normalize(key)) }))
+            .filter(({ distance }) => distance <= 2)
+            .sort((a, b) => a.distance - b.distance)[0]?.name
+    return suggestion
+        ? `Unknown key \`${key}\`, did you mean \`${suggestion}\`?`
+        : `Unknown key \`${key}\`, pick one of these instead: ${known.join(', ')}`
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} how many characters need to be inserted, removed or replaced
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i]
+        for (let j = 1; j <= b.length; j++) {
+            const replace = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, replace))
+        }
+        previous = current
+    }
+    return previous[b.length]
+}
+
+/**
+ * @param {string} name
+ * @returns {string} e.g. `out-dir` for `outDir`
+ */
+function kebabCase(name) {
+    return name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)
+}
@@ -0,0 +1,67 @@
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { expect, test } from 'vitest'
+import { findConfigFile, readConfigFile, validateConfig } from './config-file.mjs'
+
+test('Find the config file in a parent directory', async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'split-elm-bundle-config-'))
+    const nested = path.join(root, 'src', 'pages')
+    await fs.mkdir(nested, { recursive: true })
+    const file = path.join(root, 'split-elm-bundle.config.mjs')
+    await fs.writeFile(
+        file,
+        'export default { input: "build/bundle.js", outDir: "dist", manifest: true }\n',
+    )
+
+    expect(await findConfigFile(nested)).toBe(file)
+    expect(await readConfigFile(file, nested)).toEqual({
+        file,
+        input: ['../../build/bundle.js'],
+        flags: { 'out-dir': '../../dist', manifest: true },
+    })
+
+    await fs.writeFile(path.join(root, 'split-elm-bundle.config.json'), '{}')
+    await expect(findConfigFile(nested)).rejects.toThrow('please remove one of them')
+})
+
+test('Map the keys to CLI flags', () => {
+    const config = {
+        mode: 'granular',
+        minChunkSize: 1000,
+        smallChunks: 'duplicate',
+        pages: { index: ['Header', 'Search'] },
+    }
+    expect(validateConfig(config, 'split-elm-bundle.config.json', '.')).toEqual({
+        file: 'split-elm-bundle.config.json',
+        input: [],
+        flags: {
+            mode: 'granular',
+            'min-chunk-size': 1000,
+            'small-chunks': 'duplicate',
+            pages: { index: ['Header', 'Search'] },
+        },
+    })
+})
+
+test('Report every invalid key and value', () => {
+    const config = {
+        out_dir: 'dist',
+        mdoe: 'shared',
+        smallChunks: 'copy',
+        duplicateBelow: '200',
+        input: [1],
+        budget: 100,
+    }
+    expect(() =>
+        validateConfig(config, 'split-elm-bundle.config.json', '.'),
+    ).toThrowErrorMatchingInlineSnapshot(`
+      "The config file split-elm-bundle.config.json is not valid:
+        - Unknown key \`out_dir\`, did you mean \`outDir\`?
+        - Unknown key \`mdoe\`, did you mean \`mode\`?
+        - \`smallChunks\` cannot be \\"copy\\", pick one of these instead: merge, duplicate
+        - \`duplicateBelow\` needs to be a positive whole number, but got \\"200\\"
+        - \`input\` needs to be a path or a list of paths, but got [1]
+        - Unknown key \`budget\`, pick one of these instead: input, report, dryRun, mode, primary, outDir, fileNames, manifest, imports, mangle, minify, chunks, duplicateBelow, lockFile, minChunkSize, minChunkSizeMetric, smallChunks, pages, watch, port, hmr, compiler, optimize, debug"
+    `)
+})
@@ -1,9 +1,10 @@
 import fs from 'node:fs/promises'
+import { enableHmr } from './hmr.mjs'
 import { jsParser } from './js-parser.mjs'
 
 /**
  * @typedef { import('tree-sitter').SyntaxNode} SyntaxNode
- * @typedef {{ name: string, init: SyntaxNode }} ProgramNode
+ * @typedef {{ name: string, init: SyntaxNode }} ProgramNode `name` is the Elm module name, e.g. `Pages.Home`
  */
 
 /**
@@ -18,9 +19,11 @@ export async function convertFile(input, output) {
 
 /**
  * @param {string} iife compiled Elm js file
+ * @param {boolean} [hmr] if the kernel code is changed so that programs can be replaced while they run
  * @returns {{esm: string, programNodes: Array<ProgramNode>}}
  */
-export function convert(iife) {
+export function convert(iife, hmr = false) {
+    if (hmr) iife = enableHmr(iife)
     // `function F` is always exported first by the compiler
     const start = iife.indexOf('function F')
     // and the `_Platform_export` is always last in the file
@@ -37,21 +40,96 @@ export function convert(iife) {
     return { esm, programNodes }
 }
 
+/**
+ * @typedef {{ name: string, specifier: string }} LazyProgram
+ */
+
+/**
+ * Registers the `init` of a program with the HMR client of the dev server if it exists,
+ * which returns an `init` that can replace the running program with a newer version.
+ */
+const registerHmr =
+    'const _SplitElmBundle_hmr = (url, name, init) => ' +
+    'globalThis.__splitElmBundleHmr?.register(url, name, init) ?? init;'
+
 /**
  *
  * @param {Array<ProgramNode>} programNodes
+ * @param {Array<LazyProgram>} lazyPrograms are exported with an async `init` that first imports `specifier`
+ * @param {boolean} [hmr] if the `init` of each program in `programNodes` is registered with the HMR client
  * @returns {string}
  */
-export function exportsToString(programNodes) {
+export function exportsToString(programNodes, lazyPrograms = [], hmr = false) {
+    const names = programNodeNames(programNodes).concat(lazyPrograms.map(program => program.name))
+    /** @param {ProgramNode} program */
+    const init = ({ name, init }) =>
+        hmr ? `_SplitElmBundle_hmr(import.meta.url, '${name}', ${init.text})` : init.text
     return [
-        programNodes
-            .map(program => `export const ${program.name} = { init: ${program.init.text} };`)
-            .join('\n'),
-        `export const Elm = { ${programNodes.map(program => program.name).join(', ')} };`,
+        ...(hmr && programNodes.length > 0 ? [registerHmr] : []),
+        ...programNodes.map(
+            program => `export const ${exportName(program.name)} = { init: ${init(program)} };`,
+        ),
+        ...lazyPrograms.map(lazyExportToString),
+        `export const Elm = ${elmObjectToString(names)};`,
         'export default Elm;',
     ].join('\n')
 }
 
+/**
+ * @param {string} name of a program, e.g. `Pages.Home`
+ * @returns {string} the name of its export, e.g. `Pages_Home`
+ */
+export function exportName(name) {
+    return name.replaceAll('.', '_')
+}
+
+/**
+ * Nests the programs like the global `Elm` object of the compiled bundle, e.g.
+ * `{ Main, Pages: { Home: Pages_Home } }` so that `Elm.Pages.Home.init()` keeps working.
+ * A program that is also the parent of other programs is spread into their object.
+ *
+ * @param {Array<string>} names of programs that were declared with their `exportName`
+ * @returns {string}
+ */
+export function elmObjectToString(names) {
+    /** @typedef {{ program?: string, children: Map<string, Tree> }} Tree */
+    /** @type {Tree} */
+    const root = { children: new Map() }
+    for (const name of names) {
+        let tree = root
+        for (const segment of name.split('.')) {
+            const child = tree.children.get(segment) ?? { children: new Map() }
+            tree.children.set(segment, child)
+            tree = child
+        }
+        tree.program = exportName(name)
+    }
+    /** @type {(tree: Tree) => string} */
+    const toString = tree => {
+        const entries = Array.from(tree.children, ([key, child]) => {
+            if (child.children.size === 0 && child.program) {
+                return child.program === key ? key : `${key}: ${child.program}`
+            }
+            return `${key}: ${toString(child)}`
+        })
+        if (tree.program) entries.unshift(`...${tree.program}`)
+        return `{ ${entries.join(', ')} }`
+    }
+    return toString(root)
+}
+
+/**
+ * The returned `init` function resolves to the initialized Elm program.
+ * @param {LazyProgram} program
+ * @returns {string}
+ */
+function lazyExportToString({ name, specifier }) {
+    return (
+        `export const ${exportName(name)} = { init: async (args) => ` +
+        `(await import('${specifier}')).${exportName(name)}.init(args) };`
+    )
+}
+
 /**
  *
  * @param {Array<ProgramNode>} programNodes
@@ -70,45 +148,48 @@ function parsePlatformExport(code) {
     const tree = jsParser.parse(code)
     const obj = tree.rootNode.child(0)?.child(0)
     if (!obj) throw new Error('Could not find object argument in `_Platform_export` function call')
-    // get all pairs of `<FileName>: {'init':$author$project$<FileName>$main(<..>)(<..>)}`
-    const programNodes = obj.namedChildren
-        .filter(node => node.type === 'pair' && node.childCount === 3)
-        .map(node => parseProgramPair(node.children[0], node.children[2]))
-
+    // get all pairs of `<FileName>: {'init':$author$project$<FileName>$main(<..>)(<..>)}`,
+    // a nested module like `Pages.Home` is exported as `'Pages': {'Home': {'init': ...}}`
+    const programNodes = parseProgramPairs(obj, [])
+
+    const names = programNodes.map(program => exportName(program.name))
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index)
+    if (duplicate) {
+        const programs = programNodes.filter(program => exportName(program.name) === duplicate)
+        throw new Error(
+            `Cannot export both ${programNodeNames(programs).join(' and ')} as '${duplicate}'`,
+        )
+    }
     return programNodes
 }
 
 /**
  *
- * @param {SyntaxNode} key
- * @param {SyntaxNode} value
- * @returns {ProgramNode}
+ * @param {SyntaxNode} obj
+ * @param {Array<string>} path the names of the parent modules
+ * @returns {Array<ProgramNode>}
  */
-function parseProgramPair(key, value) {
-    const name = getKeyOfObject(key)
-    if (name instanceof Error) {
-        throw new Error(`Could not parse the program name from '${key.text}'`, {
-            cause: name,
-        })
+function parseProgramPairs(obj, path) {
+    if (obj.type !== 'object') {
+        throw new Error(
+            `Expected an object with an 'init' or nested modules, but got '${obj.text}'`,
+        )
     }
-
-    if (
-        value.type !== 'object' ||
-        value.childCount !== 3 ||
-        value.children[1].type !== 'pair' ||
-        value.children[1].childCount !== 3
-    ) {
-        throw new Error(`Expected an object with only one pair inside, but got '${value.text}'`)
-    }
-    let pair = value.children[1]
-    const init = getKeyOfObject(pair.children[0])
-    if (init !== 'init') {
-        throw new Error(`Expected an object key named 'init', but got '${init}'`, {
-            cause: init,
+    return obj.namedChildren
+        .filter(node => node.type === 'pair' && node.childCount === 3)
+        .flatMap(pair => {
+            const [key, , value] = pair.children
+            const name = getKeyOfObject(key)
+            if (name instanceof Error) {
+                throw new Error(`Could not parse the program name from '${key.text}'`, {
+                    cause: name,
+                })
+            }
+            if (name === 'init' && path.length > 0) {
+                return [{ name: path.join('.'), init: value }]
+            }
+            return parseProgramPairs(value, [...path, name])
         })
-    }
-
-    return { name, init: pair.children[2] }
 }
 
 /**
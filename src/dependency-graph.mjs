@@ -10,6 +10,14 @@ import { jsParser } from './js-parser.mjs'
  * @typedef {{ name: string } & CodeWithDeps} SingleDeclaration
  * @typedef {{ names: string[] } & CodeWithDeps} MultipleDeclarations
  *
+ * @typedef ParsedCode like `CodeWithDeps`, but with the identifier nodes that refer to the needs
+ * @prop {number} startIndex
+ * @prop {number} endIndex
+ * @prop {Array<SyntaxNode>} needs
+ *
+ * @typedef {{ name: string } & ParsedCode} ParsedDeclaration
+ * @typedef {{ names: string[] } & ParsedCode} ParsedDeclarations
+ *
  * @typedef {import('tree-sitter').SyntaxNode} SyntaxNode
  * @typedef {import('tree-sitter').TreeCursor} TreeCursor
  *
@@ -66,24 +74,131 @@ export function getDeclarationsAndDependencies(code) {
     /** @type {Array<MultipleDeclarations>} */
     const unnamed = []
 
+    for (const parsed of parseTopLevel(code)) {
+        const { startIndex, endIndex } = parsed
+        const needs = parsed.needs.map(node => node.text)
+        if ('name' in parsed) {
+            declarations.set(parsed.name, { name: parsed.name, needs, startIndex, endIndex })
+        } else if (parsed.names.length === 0) {
+            if (needs.length > 0) unnamed.push({ names: [], needs, startIndex, endIndex })
+        } else {
+            for (const name of parsed.names) {
+                declarations.set(name, { name, needs, startIndex, endIndex })
+            }
+        }
+    }
+    return { declarations, unnamed }
+}
+
+/**
+ * Finds the identifiers in top-level code that refer to a top-level declaration or a global.
+ * An identifier that refers to a parameter or local variable with the same name is skipped.
+ *
+ * @param {string} code
+ * @returns {Array<SyntaxNode>} with type `identifier` or `shorthand_property_identifier`
+ */
+export function findTopLevelReferences(code) {
+    return parseTopLevel(code).flatMap(parsed => parsed.needs)
+}
+
+/**
+ * Checks if a parameter or local declaration of an enclosing function shadows the identifier.
+ * This looks at the syntax tree around the node, independently of the scopes of `findNeeds`.
+ *
+ * @param {SyntaxNode} node with type `identifier` or `shorthand_property_identifier`
+ * @param {Map<string, Array<string>>} [cache] the local declarations of each function in the tree
+ * @returns {boolean}
+ */
+export function isShadowed(node, cache = new Map()) {
+    for (let scope = node.parent; scope; scope = scope.parent) {
+        switch (scope.type) {
+            case 'function':
+            case 'function_declaration':
+            case 'arrow_function':
+            case 'catch_clause': {
+                const key = `${scope.type}@${scope.startIndex}`
+                const locals = cache.get(key) ?? localDeclarations(scope)
+                cache.set(key, locals)
+                if (locals.includes(node.text)) return true
+            }
+        }
+    }
+    return false
+}
+
+/**
+ * @param {SyntaxNode} scope with type `function`, `function_declaration`, `arrow_function` or
+ *  `catch_clause`
+ * @returns {Array<string>} the parameters and the declarations that are hoisted to the scope
+ */
+export function localDeclarations(scope) {
+    const [first, second] = scope.children.filter(n => n.type !== 'async')
+    if (scope.type === 'catch_clause') {
+        return scope.namedChildren.filter(n => n.type === 'identifier').map(n => n.text)
+    } else if (scope.type === 'arrow_function' && first.type === 'identifier') {
+        return [first.text, ...hoistedDeclarations(scope.children[scope.childCount - 1])]
+    }
+    const parameters = scope.namedChildren.find(n => n.type === 'formal_parameters')
+    return [
+        // the name of a function expression is only declared inside of it
+        ...(scope.type === 'function' && second.type === 'identifier' ? [second.text] : []),
+        ...(parameters?.namedChildren ?? []).filter(n => n.type === 'identifier').map(n => n.text),
+        ...hoistedDeclarations(scope.children[scope.childCount - 1]),
+    ]
+}
+
+/**
+ * @param {SyntaxNode} node the body of a function
+ * @returns {Array<string>} the `var` and function declarations, but not those of nested functions
+ */
+function hoistedDeclarations(node) {
+    return node.namedChildren.flatMap(child => {
+        switch (child.type) {
+            case 'function_declaration':
+                return [child.children[1].text]
+            case 'function':
+            case 'arrow_function':
+                return []
+            case 'variable_declarator':
+                return [child.children[0].text, ...hoistedDeclarations(child)]
+            case 'for_in_statement':
+                return child.children[2].type === 'var'
+                    ? [child.children[3].text, ...hoistedDeclarations(child)]
+                    : hoistedDeclarations(child)
+            default:
+                return hoistedDeclarations(child)
+        }
+    })
+}
+
+/**
+ * @param {string} code
+ * @returns {Array<ParsedDeclaration|ParsedDeclarations>} unnamed code has empty `names`
+ */
+function parseTopLevel(code) {
+    /** @type {Array<ParsedDeclaration|ParsedDeclarations>} */
+    const result = []
+
     const tree = jsParser.parse(code)
     let cursor = tree.walk()
-    cursor.gotoFirstChild()
+    // e.g. the chunk of a group that none of the shared code ended up in
+    if (!cursor.gotoFirstChild()) return result
     try {
-        /** @type {SingleDeclaration|MultipleDeclarations|Error|null} */
+        /** @type {ParsedDeclaration|ParsedDeclarations|Error|null} */
         let parsed = null
         do {
             switch (cursor.nodeType) {
                 case 'var':
-                    const result = parseBrokenVariableDeclaration(cursor, code)
-                    if (result instanceof Error) {
-                        parsed = result
+                    const broken = parseBrokenVariableDeclaration(cursor, code)
+                    if (broken instanceof Error) {
+                        parsed = broken
                     } else {
-                        parsed = result.declaration
-                        cursor = result.cursor
+                        parsed = broken.declaration
+                        cursor = broken.cursor
                     }
                     break
                 case 'variable_declaration':
+                case 'lexical_declaration':
                     parsed = parseVariableDeclarations(cursor.currentNode, newScope())
                     break
                 case 'function_declaration':
@@ -91,16 +206,11 @@ export function getDeclarationsAndDependencies(code) {
                     break
                 case 'try_statement':
                 case 'expression_statement': {
-                    const needs = findNeeds(cursor.currentNode, newScope())
-                    if (Array.isArray(needs) && needs.length > 0) {
-                        /** @type MultipleDeclarations */
-                        const parsed = {
-                            names: [],
-                            needs,
-                            startIndex: cursor.startIndex,
-                            endIndex: cursor.endIndex,
-                        }
-                        unnamed.push(parsed)
+                    parsed = {
+                        names: [],
+                        needs: findNeeds(cursor.currentNode, newScope()),
+                        startIndex: cursor.startIndex,
+                        endIndex: cursor.endIndex,
                     }
                     break
                 }
@@ -122,19 +232,7 @@ export function getDeclarationsAndDependencies(code) {
                 throw parsed
             }
             if (parsed) {
-                if ('names' in parsed) {
-                    for (const name of parsed.names) {
-                        declarations.set(name, {
-                            name,
-                            needs: parsed.needs,
-                            startIndex: parsed.startIndex,
-                            endIndex: parsed.endIndex,
-                        })
-                    }
-                }
-                if ('name' in parsed) {
-                    declarations.set(parsed.name, parsed)
-                }
+                result.push(parsed)
             }
         } while (cursor.gotoNextSibling())
     } catch (ex) {
@@ -145,14 +243,14 @@ export function getDeclarationsAndDependencies(code) {
         console.warn(cursor.currentNode.text)
         throw ex
     }
-    return { declarations, unnamed }
+    return result
 }
 
 /**
  * Parses a broken variable declaration and returns a new cursor that can parse the rest of the file
  * @param {TreeCursor} cursor
  * @param {string} code
- * @returns {Error|{declaration:SingleDeclaration,cursor:TreeCursor}}
+ * @returns {Error|{declaration:ParsedDeclaration,cursor:TreeCursor}}
  */
 function parseBrokenVariableDeclaration(cursor, code) {
     const startIndex = cursor.currentNode.startIndex
@@ -204,15 +302,16 @@ function parseBrokenVariableDeclaration(cursor, code) {
 }
 
 /**
- * @param {SyntaxNode} node a `VariableDeclarationNode` with type `variable_declaration`
+ * @param {SyntaxNode} node a `VariableDeclarationNode` with type `variable_declaration`, or
+ *  `lexical_declaration` for the `const` that registers programs for HMR
  * @param {DeclarationsInScope} scope is mutated
- * @returns {MultipleDeclarations|Error}
+ * @returns {ParsedDeclarations|Error}
  */
 function parseVariableDeclarations(node, scope) {
     const cursor = node.walk()
     cursor.gotoFirstChild()
 
-    /** @type MultipleDeclarations */
+    /** @type ParsedDeclarations */
     const result = {
         names: [],
         needs: [],
@@ -223,6 +322,8 @@ function parseVariableDeclarations(node, scope) {
     do {
         switch (cursor.nodeType) {
             case 'var':
+            case 'let':
+            case 'const':
                 break
             case 'variable_declarator': {
                 const [identifier, _equals, expression] = cursor.currentNode.children
@@ -248,7 +349,7 @@ function parseVariableDeclarations(node, scope) {
 /**
  * @param {SyntaxNode} node with type `function_declaration`
  * @param {DeclarationsInScope} parentScope
- * @returns {SingleDeclaration|Error}
+ * @returns {ParsedDeclaration|Error}
  */
 function parseFunctionDeclaration(node, parentScope) {
     if (
@@ -271,14 +372,14 @@ function parseFunctionDeclaration(node, parentScope) {
         .map(n => n.text)
     const scope = newScope(parentScope, formalParameters)
     scope.isFunctionScope = true
-    const needs = findNeeds(node.children[3], scope)
+    const needs = findNeedsInFunctionBody(node.children[3], scope)
     return { name, needs, startIndex: node.startIndex, endIndex: node.endIndex }
 }
 
 /**
  * @param {SyntaxNode} node with type `function_declaration`
  * @param {DeclarationsInScope} scope
- * @returns {SingleDeclaration|Error}
+ * @returns {ParsedDeclaration|Error}
  */
 function parseExport(node, scope) {
     if (node.children[0].type === 'export' && node.children[1].type === 'default') {
@@ -296,7 +397,7 @@ function parseExport(node, scope) {
 /**
  * @param {SyntaxNode} node with type `function_declaration`
  * @param {DeclarationsInScope} scope
- * @returns {SingleDeclaration|Error}
+ * @returns {ParsedDeclaration|Error}
  */
 function parseNamedExport(node, scope) {
     if (
@@ -324,7 +425,7 @@ function parseNamedExport(node, scope) {
 /**
  * @param {SyntaxNode} node
  * @param {DeclarationsInScope} scope current and parent declarations
- * @returns {Array<string>}
+ * @returns {Array<SyntaxNode>} the identifiers that are not declared in `scope`
  */
 function findNeeds(node, scope) {
     switch (node.type) {
@@ -338,6 +439,9 @@ function findNeeds(node, scope) {
         case 'function': {
             return findNeedsInFunction(node, scope)
         }
+        case 'arrow_function': {
+            return findNeedsInArrowFunction(node, scope)
+        }
         case 'parenthesized_expression': {
             return findNeeds(node.children[1], scope)
         }
@@ -369,7 +473,8 @@ function findNeeds(node, scope) {
             return findNeeds(node.children[2], newScope(scope, [node.children[0].text]))
         }
         case 'identifier':
-            return wrapIdentifier(node.text, scope)
+        case 'shorthand_property_identifier':
+            return wrapIdentifier(node, scope)
         case 'labeled_statement': {
             assert(node.children[0].type === 'statement_identifier')
             const subscope = newScope(scope) //, [node.children[0].text])
@@ -379,7 +484,7 @@ function findNeeds(node, scope) {
             return findNeeds(node.children[1], scope)
         }
         case 'try_statement': {
-            return findNeedsInStatementBlock(node.children[1], newScope(scope))
+            return findNeedsInTryStatement(node, scope)
         }
         case 'statement_block': {
             return findNeedsInStatementBlock(node, scope)
@@ -408,6 +513,8 @@ function findNeeds(node, scope) {
         case 'unary_expression':
         case 'binary_expression':
         case 'ternary_expression':
+        case 'spread_element':
+        case 'await_expression':
         case 'switch_body':
         case 'switch_case':
         case 'switch_default':
@@ -427,11 +534,14 @@ function findNeeds(node, scope) {
         case '>>>':
         case '&&':
         case '||':
+        case '??':
+        case 'optional_chain':
         case '[':
         case ']':
         case '?':
         case ',':
         case '.':
+        case '...':
         case '=':
         case '+=':
         case '-=':
@@ -465,6 +575,8 @@ function findNeeds(node, scope) {
         case 'while':
         case 'for':
         case 'new':
+        case 'await':
+        case 'import':
         case 'case':
         case 'throw':
         case 'typeof':
@@ -475,8 +587,6 @@ function findNeeds(node, scope) {
         case 'property_identifier': {
             return []
         }
-        case 'shorthand_property_identifier':
-            return [node.text]
         default:
             logNode(node)
             throw new Error(`todo findNeeds('${node.type}')`)
@@ -494,18 +604,18 @@ function newScope(parentScope = undefined, declarations = []) {
 }
 
 /**
- * @param {string} identifier
+ * @param {SyntaxNode} identifier
  * @param {DeclarationsInScope} scope
- * @returns {Array<string>} empty array if identifier is known in scope
+ * @returns {Array<SyntaxNode>} empty array if identifier is known in scope
  */
 function wrapIdentifier(identifier, scope) {
-    return isDeclaredInScope(identifier, scope) ? [] : [identifier]
+    return isDeclaredInScope(identifier.text, scope) ? [] : [identifier]
 }
 
 /**
  * @param {SyntaxNode} node with type `for_statement`
  * @param {DeclarationsInScope} parentScope
- * @returns {Array<string>}
+ * @returns {Array<SyntaxNode>}
  */
 function findNeedsInFunction(node, parentScope) {
     let [_, identifier, formalParameters, statementBlock] = node.children
@@ -526,18 +636,69 @@ function findNeedsInFunction(node, parentScope) {
         .map(n => n.text)
     const scope = newScope(parentScope, params)
     scope.isFunctionScope = true
-    return findNeeds(statementBlock, scope)
+    return findNeedsInFunctionBody(statementBlock, scope)
+}
+
+/**
+ * @param {SyntaxNode} node with type `arrow_function`
+ * @param {DeclarationsInScope} parentScope
+ * @returns {Array<SyntaxNode>}
+ */
+function findNeedsInArrowFunction(node, parentScope) {
+    const [parameters, _arrow, body] = node.children.filter(n => n.type !== 'async')
+    const params =
+        parameters.type === 'identifier'
+            ? [parameters.text]
+            : parameters.namedChildren.filter(n => n.type === 'identifier').map(n => n.text)
+    const scope = newScope(parentScope, params)
+    scope.isFunctionScope = true
+    return findNeedsInFunctionBody(body, scope)
+}
+
+/**
+ * @param {SyntaxNode} node the body of a function
+ * @param {DeclarationsInScope} scope of the function, with its parameters
+ * @returns {Array<SyntaxNode>}
+ */
+function findNeedsInFunctionBody(node, scope) {
+    // `var` declarations are hoisted to the function scope, so they might be used before or
+    // outside of the block that declares them, e.g. `for (var key in object) {} return key`
+    scope.declarations.push(...hoistedDeclarations(node))
+    return findNeeds(node, scope).filter(need => !scope.declarations.includes(need.text))
+}
+
+/**
+ * @param {SyntaxNode} node with type `try_statement`
+ * @param {DeclarationsInScope} scope
+ * @returns {Array<SyntaxNode>}
+ */
+function findNeedsInTryStatement(node, scope) {
+    return node.namedChildren.flatMap(child => {
+        switch (child.type) {
+            case 'statement_block':
+                return findNeedsInStatementBlock(child, newScope(scope))
+            case 'catch_clause': {
+                const [_catch, _open, parameter, _close, body] = child.children
+                assert(parameter.type === 'identifier' && body.type === 'statement_block')
+                return findNeedsInStatementBlock(body, newScope(scope, [parameter.text]))
+            }
+            case 'finally_clause':
+                return findNeedsInStatementBlock(child.children[1], newScope(scope))
+            default:
+                throw new Error(`Unexpected child of \`try\` statement '${child.type}'`)
+        }
+    })
 }
 
 /**
  * @param {SyntaxNode} node with type `for_statement`
  * @param {DeclarationsInScope} parentScope
- * @returns {Array<string>}
+ * @returns {Array<SyntaxNode>}
  */
 function findNeedsInForStatement(node, parentScope) {
     /** @type {DeclarationsInScope} */
     const scope = newScope(parentScope)
-    /** @type {Array<Array<string>>} */
+    /** @type {Array<Array<SyntaxNode>>} */
     const needs = []
 
     const cursor = node.walk()
@@ -587,18 +748,18 @@ function findNeedsInForStatement(node, parentScope) {
 
     // Assignment_expression can add a variable after it was first referenced.
     // Hoisting of the declaration would be the corred behavior, but this works for now.
-    return needs.flat().filter(need => !scope.declarations.includes(need))
+    return needs.flat().filter(need => !scope.declarations.includes(need.text))
 }
 
 /**
  * @param {SyntaxNode} node with type `for_statement`
  * @param {DeclarationsInScope} parentScope
- * @returns {Array<string>}
+ * @returns {Array<SyntaxNode>}
  */
 function findNeedsInForInStatement(node, parentScope) {
     /** @type {DeclarationsInScope} */
     const scope = newScope(parentScope, [])
-    /** @type {Array<Array<string>>} */
+    /** @type {Array<Array<SyntaxNode>>} */
     const needs = []
 
     const cursor = node.walk()
@@ -635,7 +796,7 @@ function findNeedsInStatementBlock(node, parentScope) {
     assert(node.type === 'statement_block')
 
     const scope = newScope(parentScope)
-    /** @type {Array<Array<string>>} */
+    /** @type {Array<Array<SyntaxNode>>} */
     const needs = []
 
     const cursor = node.walk()
@@ -648,7 +809,7 @@ function findNeedsInStatementBlock(node, parentScope) {
         needs
             .flat()
             // fake hoisting of variable declarations by dropping needs that are in scope
-            .filter(need => !scope.declarations.includes(need))
+            .filter(need => !scope.declarations.includes(need.text))
     )
 }
 
@@ -687,6 +848,7 @@ function existsInGlobalScope(identifier) {
         case 'BigUint64Array':
         case 'Float32Array':
         case 'Float64Array':
+        case 'globalThis':
         case 'ArrayBuffer':
         case 'Blob':
         case 'console':
@@ -2,7 +2,12 @@ import fs from 'node:fs/promises'
 import { expect, describe, test } from 'vitest'
 import assert from 'node:assert'
 import { jsParser } from './js-parser.mjs'
-import { getDeclarationsAndDependencies, getDependenciesOf } from './dependency-graph.mjs'
+import {
+    findTopLevelReferences,
+    getDeclarationsAndDependencies,
+    getDependenciesOf,
+    isShadowed,
+} from './dependency-graph.mjs'
 
 describe('parse short chunks', () => {
     test('Empty variable declaration', () => {
@@ -472,7 +477,6 @@ function abc() {
             "name": "abc",
             "needs": [
               "x",
-              "one",
             ],
             "startIndex": 1,
           },
@@ -1131,6 +1135,45 @@ export default Elm;
     })
 })
 
+describe('References to top-level declarations', () => {
+    const chunk = `
+var $a = 1;
+var $b = 2;
+function f($a) { return $a + $b; }
+var g = function () { var x = $b; var $b = 3; return x; };
+function h(x) { try { return $a; } catch ($b) { return $b; } }
+var k = { $a, $b: (y => $b)(1) };
+`
+
+    test('Skip parameters and local variables that shadow a top-level name', () => {
+        const references = findTopLevelReferences(chunk)
+        expect(references.map(node => `${node.text}:${node.startPosition.row}`)).toEqual([
+            '$b:3',
+            '$a:5',
+            '$a:6',
+            '$b:6',
+        ])
+    })
+
+    test('Detect the shadowed names independently of the scopes', () => {
+        const references = findTopLevelReferences(chunk).map(node => node.startIndex)
+        const nodes = jsParser
+            .parse(chunk)
+            .rootNode.descendantsOfType(['identifier', 'shorthand_property_identifier'])
+            .filter(node => node.text === '$a' || node.text === '$b')
+        const shadowed = nodes.filter(node => isShadowed(node))
+        expect(shadowed.map(node => `${node.text}:${node.startPosition.row}`)).toEqual([
+            '$a:3',
+            '$a:3',
+            '$b:4',
+            '$b:4',
+            '$b:5',
+            '$b:5',
+        ])
+        expect(shadowed.some(node => references.includes(node.startIndex))).toBe(false)
+    })
+})
+
 /**
  *
  * @typedef {import('tree-sitter').SyntaxNode} SyntaxNode
@@ -0,0 +1,222 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+
+/**
+ * Looks for the `elm.json` of the project in `directory` and then in all of its parents,
+ * like the Elm compiler does.
+ *
+ * @param {string} directory
+ * @returns {Promise<string|undefined>}
+ */
+export async function findElmJson(directory) {
+    for (let current = path.resolve(directory); ; current = path.dirname(current)) {
+        const file = path.join(current, 'elm.json')
+        try {
+            if ((await fs.stat(file)).isFile()) return file
+        } catch {
+            // continue with the parent directory
+        }
+        if (path.dirname(current) === current) return undefined
+    }
+}
+
+/**
+ * @param {string} elmJson path to the `elm.json` of an application
+ * @returns {Promise<Array<string>>} the absolute paths of its `source-directories`
+ */
+export async function sourceDirectories(elmJson) {
+    /** @type {unknown} */
+    let content
+    try {
+        content = JSON.parse(await fs.readFile(elmJson, 'utf-8'))
+    } catch (ex) {
+        const reason = ex instanceof Error ? ex.message : String(ex)
+        throw new Error(`Could not read ${elmJson}: ${reason}`)
+    }
+    const directories =
+        typeof content === 'object' && content !== null && 'source-directories' in content
+            ? content['source-directories']
+            : undefined
+    if (!Array.isArray(directories) || !directories.every(d => typeof d === 'string')) {
+        throw new Error(
+            `Expected ${elmJson} to be the \`elm.json\` of an application with a list of \`source-directories\``,
+        )
+    }
+    return directories.map(directory => path.resolve(path.dirname(elmJson), directory))
+}
+
+/**
+ * Finds every module in the `source-directories` of the `elm.json` that defines a `main`.
+ *
+ * @param {string} [cwd] the returned paths are relative to it
+ * @returns {Promise<Array<string>>} sorted paths of `.elm` files
+ */
+export async function findPrograms(cwd = process.cwd()) {
+    const elmJson = await findElmJson(cwd)
+    if (!elmJson) {
+        throw new Error(
+            `Could not find an \`elm.json\` in ${path.resolve(cwd)} or one of its parents, ` +
+                'so please pass the `.elm` files to compile',
+        )
+    }
+    /** @type {Array<string>} */
+    const programs = []
+    for (const directory of await sourceDirectories(elmJson)) {
+        for (const file of await listElmFiles(directory)) {
+            if (definesMain(await fs.readFile(file, 'utf-8'))) {
+                programs.push(path.relative(cwd, file))
+            }
+        }
+    }
+    if (programs.length === 0) {
+        throw new Error(
+            `Could not find a module with a \`main\` in the \`source-directories\` of ${elmJson}`,
+        )
+    }
+    return programs.sort()
+}
+
+/**
+ * @param {string} source of an Elm module
+ * @returns {boolean} if it has a top-level declaration called `main`
+ */
+export function definesMain(source) {
+    return /^main\s*[:=]/m.test(withoutBlockComments(source))
+}
+
+/**
+ * @param {string} source
+ * @returns {string} without `{- -}` comments, which can be nested
+ */
+function withoutBlockComments(source) {
+    let depth = 0
+    let result = ''
+    for (let index = 0; index < source.length; index++) {
+        const pair = source.slice(index, index + 2)
+        if (pair === '{-') {
+            depth++
+            index++
+        } else if (pair === '-}' && depth > 0) {
+            depth--
+            index++
+        } else if (depth === 0 || source[index] === '\n') {
+            // keep the line breaks so that `^` still matches the start of a line
+            result += source[index]
+        }
+    }
+    return result
+}
+
+/**
+ * Replaces every glob like `src/Pages/**\/*.elm` with the `.elm` files that it matches.
+ * Other paths are kept as they are.
+ *
+ * @param {Array<string>} patterns
+ * @param {string} [cwd] relative patterns and the paths that they match are relative to it
+ * @returns {Promise<Array<string>>}
+ */
+export async function expandGlobs(patterns, cwd = process.cwd()) {
+    /** @type {Array<string>} */
+    const files = []
+    for (const pattern of patterns) {
+        if (!isGlob(pattern)) {
+            files.push(pattern)
+            continue
+        }
+        const segments = pattern.split(/[\\/]/)
+        const index = segments.findIndex(isGlob)
+        // the files are matched by their absolute path, so the pattern may be absolute as well
+        const base = path.resolve(cwd, segments.slice(0, index).join('/'))
+        const glob = [toPosix(base), ...segments.slice(index)].join('/')
+        const regex = globToRegExp(path.posix.normalize(glob))
+        const matches = (await listElmFiles(base))
+            .filter(file => regex.test(toPosix(file)))
+            .map(file => (path.isAbsolute(pattern) ? file : path.relative(cwd, file)))
+        if (matches.length === 0) {
+            throw new Error(`\`${pattern}\` does not match any \`.elm\` file`)
+        }
+        files.push(...matches.sort())
+    }
+    return files.filter((file, index) => files.indexOf(file) === index)
+}
+
+/**
+ * @param {string} file
+ * @returns {string} with `/` as separator on every platform
+ */
+function toPosix(file) {
+    return file.split(path.sep).join('/')
+}
+
+/**
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function isGlob(pattern) {
+    return /[*?{]/.test(pattern)
+}
+
+/**
+ * Supports `**` for any number of directories, `*` and `?` within one path segment,
+ * and `{a,b}` for alternatives.
+ *
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+    let source = ''
+    let braces = 0
+    for (let index = 0; index < glob.length; index++) {
+        const char = glob[index]
+        if (glob.startsWith('**/', index)) {
+            source += '(?:.*/)?'
+            index += 2
+        } else if (glob.startsWith('**', index)) {
+            source += '.*'
+            index += 1
+        } else if (char === '*') {
+            source += '[^/]*'
+        } else if (char === '?') {
+            source += '[^/]'
+        } else if (char === '{') {
+            source += '(?:'
+            braces++
+        } else if (char === '}' && braces > 0) {
+            source += ')'
+            braces--
+        } else if (char === ',' && braces > 0) {
+            source += '|'
+        } else {
+            source += char.replace(/[.+^$()|[\]{}\\]/g, '\\$&')
+        }
+    }
+    return new RegExp(`^${source}$`)
+}
+
+/**
+ * @param {string} directory
+ * @returns {Promise<Array<string>>} all `.elm` files in it and its subdirectories
+ */
+async function listElmFiles(directory) {
+    /** @type {Array<import('node:fs').Dirent>} */
+    let entries
+    try {
+        entries = await fs.readdir(directory, { withFileTypes: true })
+    } catch {
+        return []
+    }
+    /** @type {Array<string>} */
+    const files = []
+    for (const entry of entries) {
+        const file = path.join(directory, entry.name)
+        if (entry.isDirectory()) {
+            if (entry.name.startsWith('.') || ['elm-stuff', 'node_modules'].includes(entry.name)) {
+                continue
+            }
+            files.push(...(await listElmFiles(file)))
+        } else if (entry.isFile() && path.extname(entry.name) === '.elm') {
+            files.push(file)
+        }
+    }
+    return files
+}
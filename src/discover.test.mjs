@@ -0,0 +1,69 @@
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { expect, test } from 'vitest'
+import { definesMain, expandGlobs, findPrograms, globToRegExp } from './discover.mjs'
+
+test('Find every module with a `main` in the source directories', async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'split-elm-bundle-programs-'))
+    const files = {
+        'elm.json': JSON.stringify({ type: 'application', 'source-directories': ['src'] }),
+        'src/Main.elm': 'module Main exposing (main)\n\nmain =\n    Html.text ""\n',
+        'src/Pages/Home.elm': 'module Pages.Home exposing (main)\n\nmain =\n    Html.text ""\n',
+        'src/Pages/View.elm': 'module Pages.View exposing (view)\n\nview =\n    Html.text ""\n',
+    }
+    for (const [file, content] of Object.entries(files)) {
+        await fs.mkdir(path.join(root, path.dirname(file)), { recursive: true })
+        await fs.writeFile(path.join(root, file), content)
+    }
+    expect(await findPrograms(root)).toEqual(['src/Main.elm', 'src/Pages/Home.elm'])
+    // paths are relative to the working directory, and `elm.json` is found in a parent
+    expect(await findPrograms(path.join(root, 'src/Pages'))).toEqual(['../Main.elm', 'Home.elm'])
+    await fs.rm(root, { recursive: true })
+})
+
+test('Only detect a top-level `main` outside of comments', () => {
+    expect(definesMain('module Main exposing (main)\n\nmain : Html msg\nmain =\n    text ""')).toBe(
+        true,
+    )
+    expect(definesMain('module Main exposing (main)\nmain=text ""')).toBe(true)
+    expect(definesMain('module Page exposing (view)\n\nview =\n    main_ [] []')).toBe(false)
+    expect(definesMain('module Page exposing (view)\n\nmainView =\n    text ""')).toBe(false)
+    expect(definesMain('module Page exposing (..)\n\nview =\n    let\n        main = 1\n')).toBe(
+        false,
+    )
+    expect(definesMain('module Page exposing (..)\n{- {- nested -}\nmain =\n-}\nx = 1')).toBe(false)
+})
+
+test('Expand globs to `.elm` files', async () => {
+    const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'split-elm-bundle-discover-'))
+    for (const file of ['src/Main.elm', 'src/Pages/Home.elm', 'src/Pages/Blog/Post.elm']) {
+        await fs.mkdir(path.join(cwd, path.dirname(file)), { recursive: true })
+        await fs.writeFile(path.join(cwd, file), '')
+    }
+    expect(await expandGlobs(['src/Pages/**/*.elm'], cwd)).toEqual([
+        'src/Pages/Blog/Post.elm',
+        'src/Pages/Home.elm',
+    ])
+    expect(await expandGlobs(['src/Main.elm', 'src/*.elm', 'src/Pages/*.elm'], cwd)).toEqual([
+        'src/Main.elm',
+        'src/Pages/Home.elm',
+    ])
+    // the files are matched by their absolute paths, whatever the pattern starts with
+    expect(await expandGlobs([path.join(cwd, 'src/Pages/**/*.elm')], cwd)).toEqual([
+        path.join(cwd, 'src/Pages/Blog/Post.elm'),
+        path.join(cwd, 'src/Pages/Home.elm'),
+    ])
+    expect(await expandGlobs(['../src/*.elm'], path.join(cwd, 'src'))).toEqual(['Main.elm'])
+    await expect(expandGlobs(['lib/**/*.elm'], cwd)).rejects.toThrow(
+        '`lib/**/*.elm` does not match any `.elm` file',
+    )
+})
+
+test('Convert a glob into a regex', () => {
+    const regex = globToRegExp('src/{Pages,Admin}/**/?ome*.elm')
+    expect(regex.test('src/Pages/Home.elm')).toBe(true)
+    expect(regex.test('src/Admin/Users/HomeList.elm')).toBe(true)
+    expect(regex.test('src/Widgets/Home.elm')).toBe(false)
+    expect(regex.test('src/Pages/Home/elm')).toBe(false)
+})
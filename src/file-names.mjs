@@ -0,0 +1,114 @@
+import { createHash } from 'node:crypto'
+import path from 'node:path'
+
+/**
+ * @typedef {(name: string) => string} FileName returns a path relative to the output directory
+ * @typedef {{ program: FileName, chunk: FileName, entry: () => string }} FileNames
+ */
+
+export const defaultFileNames = '[basename].[name].mjs'
+
+const placeholders = ['[basename]', '[name]', '[program]', '[hash]']
+
+/**
+ * Creates the names of all output files from a `template` with the placeholders
+ * - `[basename]` the name of the input file without its extension
+ * - `[name]` or `[program]` the name of the program, or of the shared chunk
+ * - `[hash]` the hash of the file content, which is only replaced once the content is known
+ *
+ * A shared chunk never gets the file name of a program, even on a case-insensitive file system.
+ * So if e.g. a program is called `Shared`, the shared chunk is written to `_shared` instead.
+ *
+ * The entry module of `splitWith2ndMode` is a chunk named like the input file, e.g. `[name].[hash].mjs`
+ * writes `examples.3f9a1c2b.mjs`. Only the default template writes it to `[basename].mjs`.
+ * With a `[hash]`, the entry module also never gets the file name of the shared chunk, so the
+ * entry module of `shared.js` is written to `_shared` instead.
+ *
+ * @param {string} template e.g. `[name]/index.mjs` or `elm-[program].mjs`
+ * @param {string} basename
+ * @param {ReadonlyArray<string>} programs the names of all programs in the bundle
+ * @returns {FileNames}
+ */
+export function fileNames(template, basename, programs) {
+    const unknown = (template.match(/\[[^\]]*\]/g) ?? []).find(p => !placeholders.includes(p))
+    if (unknown) {
+        throw new Error(
+            `The file name template '${template}' contains the unknown placeholder '${unknown}', ` +
+                `pick one of these instead: ${placeholders.join(', ')}`,
+        )
+    }
+    if (!template.includes('[name]') && !template.includes('[program]')) {
+        throw new Error(
+            `The file name template '${template}' needs a '[name]' so that every file gets its own name`,
+        )
+    }
+    if (path.posix.isAbsolute(template) || template.split('/').includes('..')) {
+        throw new Error(
+            `The file name template '${template}' must stay inside of the output directory`,
+        )
+    }
+    if (path.posix.dirname(template).includes('[hash]')) {
+        throw new Error(
+            `The file name template '${template}' may only contain a '[hash]' after the last '/'`,
+        )
+    }
+
+    /** @type {FileName} */
+    const program = name =>
+        template
+            .replaceAll('[basename]', basename)
+            .replaceAll('[name]', name)
+            .replaceAll('[program]', name)
+    /**
+     * @param {string} name
+     * @param {Array<string>} taken lower case names
+     */
+    const unique = (name, taken) => {
+        let result = name
+        while (taken.includes(result.toLowerCase())) result = `_${result}`
+        return result
+    }
+    const lowerCasePrograms = programs.map(name => name.toLowerCase())
+    /** @type {FileName} */
+    const chunk = name => program(unique(name, lowerCasePrograms))
+    const sharedChunk = unique('shared', lowerCasePrograms).toLowerCase()
+    const entryTaken = template.includes('[hash]')
+        ? [...lowerCasePrograms, sharedChunk]
+        : lowerCasePrograms
+
+    return {
+        program,
+        chunk,
+        entry: () =>
+            template === defaultFileNames
+                ? `${basename}.mjs`
+                : program(unique(basename, entryTaken)),
+    }
+}
+
+/**
+ * @param {string} from the file that contains the import, relative to the output directory
+ * @param {string} to the imported file, relative to the output directory
+ * @returns {string} e.g. `./bundle.shared.mjs` or `../shared/index.mjs`
+ */
+export function importSpecifier(from, to) {
+    const relative = path.posix.relative(path.posix.dirname(from), to)
+    return relative.startsWith('../') ? relative : `./${relative}`
+}
+
+/**
+ * @param {string} content
+ * @returns {string} the first 8 characters of the hexadecimal SHA-256 hash
+ */
+export function contentHash(content) {
+    return createHash('sha256').update(content).digest('hex').slice(0, 8)
+}
+
+/**
+ * @param {string} file that may contain a `[hash]` placeholder
+ * @param {string} content of the file
+ * @returns {string}
+ */
+export function withHash(file, content) {
+    return file.includes('[hash]') ? file.replaceAll('[hash]', contentHash(content)) : file
+}
@@ -0,0 +1,56 @@
+import { expect, test } from 'vitest'
+import { defaultFileNames, fileNames, importSpecifier, withHash } from './file-names.mjs'
+
+test('Default file names', () => {
+    const names = fileNames(defaultFileNames, 'examples', ['Clock', 'Quotes'])
+    expect(names.program('Clock')).toBe('examples.Clock.mjs')
+    expect(names.chunk('shared')).toBe('examples.shared.mjs')
+})
+
+test('File names in subdirectories', () => {
+    const names = fileNames('[name]/index.mjs', 'examples', ['Clock'])
+    expect(names.program('Clock')).toBe('Clock/index.mjs')
+    expect(importSpecifier(names.program('Clock'), names.chunk('shared'))).toBe(
+        '../shared/index.mjs',
+    )
+    expect(importSpecifier('examples.Clock.mjs', 'examples.shared.mjs')).toBe(
+        './examples.shared.mjs',
+    )
+})
+
+test('A shared chunk never gets the file name of a program', () => {
+    const names = fileNames('elm-[program].mjs', 'examples', ['Shared', '_shared'])
+    expect(names.program('Shared')).toBe('elm-Shared.mjs')
+    expect(names.chunk('shared')).toBe('elm-__shared.mjs')
+})
+
+test('Content hashes in file names', () => {
+    const names = fileNames('[name].[hash].mjs', 'examples', ['Clock'])
+    expect(withHash(names.program('Clock'), 'content')).toBe('Clock.ed7002b4.mjs')
+    expect(withHash('Clock.mjs', 'content')).toBe('Clock.mjs')
+})
+
+test('Invalid file name templates', () => {
+    expect(() => fileNames('[basename].mjs', 'examples', [])).toThrowError("needs a '[name]'")
+    expect(() => fileNames('[name].[size].mjs', 'examples', [])).toThrowError(
+        "unknown placeholder '[size]'",
+    )
+    expect(() => fileNames('../[name].mjs', 'examples', [])).toThrowError(
+        'must stay inside of the output directory',
+    )
+    expect(() => fileNames('[hash]/[name].mjs', 'examples', [])).toThrowError(
+        "may only contain a '[hash]' after the last '/'",
+    )
+})
+
+test('The entry file of the lazy mode', () => {
+    expect(fileNames(defaultFileNames, 'examples', ['Clock']).entry()).toBe('examples.mjs')
+    expect(fileNames('[name].[hash].mjs', 'examples', ['Clock']).entry()).toBe(
+        'examples.[hash].mjs',
+    )
+    expect(fileNames('[name]/index.mjs', 'Clock', ['Clock']).entry()).toBe('_Clock/index.mjs')
+    // the chunk `shared` is written next to it
+    expect(fileNames('[name].[hash].mjs', 'shared', ['Clock']).entry()).toBe('_shared.[hash].mjs')
+    expect(fileNames('[name].[hash].mjs', 'shared', ['Shared']).entry()).toBe('__shared.[hash].mjs')
+    expect(fileNames('[name].mjs', 'shared', ['Clock']).entry()).toBe('shared.mjs')
+})
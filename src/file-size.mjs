@@ -2,11 +2,12 @@ import fs from 'node:fs/promises'
 import path from 'node:path'
 import { promisify } from 'node:util'
 import zlib from 'node:zlib'
+import { contentHash } from './file-names.mjs'
 const gzip = promisify(zlib.gzip)
 
 /**
  * @typedef {{ raw: number; gzip: number }} Sizes
- * @typedef {{ file: string; sizes: Sizes }} FileWithSizes
+ * @typedef {{ file: string; sizes: Sizes; hash: string; unminified?: Sizes }} FileWithSizes
  */
 
 /**
@@ -36,21 +37,29 @@ async function bufferSizeGzip(raw) {
 }
 
 /**
- * @param {string} file
+ * @param {string} file `-` writes to stdout
  * @param {string} content
  * @param {import('./types/public.js').SideEffects} allowed
+ * @param {string} [unminified] the content before `minify`, to print both sizes
  * @returns {Promise<FileWithSizes>}
  */
-export async function writeFileAndPrintSizes(file, content, allowed) {
-    if (allowed.writeFiles) {
+export async function writeFileAndPrintSizes(file, content, allowed, unminified) {
+    if (allowed.writeFiles && file === '-') {
+        await new Promise(resolve => process.stdout.write(content, resolve))
+    } else if (allowed.writeFiles) {
+        await fs.mkdir(path.dirname(file), { recursive: true })
         await fs.writeFile(file, content, 'utf-8')
     }
     const sizes = await stringSizeGzip(content)
+    const before = unminified === undefined ? undefined : await stringSizeGzip(unminified)
     if (allowed.printLogs) {
         const prefix = allowed.writeFiles ? 'Wrote' : 'Would write'
-        console.log(prefix, path.basename(file), sizesToString(sizes))
+        const minified = before ? [`minified from ${sizesToString(before)}`] : []
+        console.log(prefix, path.relative(process.cwd(), file), sizesToString(sizes), ...minified)
     }
-    return { file, sizes }
+    return before
+        ? { file, sizes, hash: contentHash(content), unminified: before }
+        : { file, sizes, hash: contentHash(content) }
 }
 
 /**
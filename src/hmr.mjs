@@ -0,0 +1,98 @@
+/**
+ * The key of the `init` argument through which a program and the HMR client of the dev server
+ * share their state, see `Hmr` in `src/serve-client.mjs`.
+ */
+export const hmrKey = '__splitElmBundleHmrState'
+
+/**
+ * Every patch replaces one line of the Elm kernel code.
+ * The `required` lines are part of every compiled Elm program, and the others are replaced
+ * wherever they occur, e.g. also in the `Browser.element` of the debugger.
+ *
+ * @type {Array<{ line: string, replaceWith: Array<string>, required: boolean }>}
+ */
+const patches = [
+    {
+        // continue with the model of the replaced program instead of calling `init`
+        line: '\tvar initPair = init(result.a);',
+        replaceWith: [
+            `\tvar hmr = args && args['${hmrKey}'];`,
+            '\tsendToApp.hmr = hmr;',
+            '\tvar initPair = hmr && hmr.model ? { a: hmr.model.value, b: _Platform_batch(_List_Nil) } : init(result.a);',
+        ],
+        required: true,
+    },
+    {
+        // let the client read the model, and stop the program once it was replaced
+        line: '\tvar ports = _Platform_setupEffects(managers, sendToApp);',
+        replaceWith: [
+            '\tvar ports = _Platform_setupEffects(managers, sendToApp);',
+            '\thmr && (hmr.getModel = function() { return model; });',
+            '\thmr && (hmr.sendToApp = sendToApp);',
+            '\thmr && (hmr.stop = function(next) {',
+            '\t\thmr.next = next;',
+            '\t\thmr.cleanup && hmr.cleanup();',
+            '\t\t_Platform_enqueueEffects(managers, _Platform_batch(_List_Nil), _Platform_batch(_List_Nil));',
+            '\t});',
+        ],
+        required: true,
+    },
+    {
+        // a stopped program forwards every message to the program that replaced it
+        line: '\t\tvar pair = A2(update, msg, model);',
+        replaceWith: [
+            '\t\tif (hmr && hmr.next) { return hmr.next(msg, viewMetadata); }',
+            '\t\tvar pair = A2(update, msg, model);',
+        ],
+        required: true,
+    },
+    {
+        // a program file that is evaluated again declares its ports again
+        line: '\tif (_Platform_effectManagers[name])',
+        replaceWith: ['\tif (_Platform_effectManagers[name] && !globalThis.__splitElmBundleHmr)'],
+        required: false,
+    },
+    {
+        // the root node of a `Browser.element` is replaced if the tag of the view changes
+        line: '\t\t\t\tdomNode = _VirtualDom_applyPatches(domNode, currNode, patches, sendToApp);',
+        replaceWith: [
+            '\t\t\t\tdomNode = _VirtualDom_applyPatches(domNode, currNode, patches, sendToApp);',
+            '\t\t\t\tsendToApp.hmr && (sendToApp.hmr.node = domNode);',
+        ],
+        required: false,
+    },
+    {
+        // a stopped `Browser.application` must not react to URL changes anymore
+        line: "\t\t\t_Browser_window.addEventListener('popstate', key);",
+        replaceWith: [
+            "\t\t\t_Browser_window.addEventListener('popstate', key);",
+            '\t\t\tsendToApp.hmr && (sendToApp.hmr.cleanup = function() {',
+            "\t\t\t\t_Browser_window.removeEventListener('popstate', key);",
+            "\t\t\t\t_Browser_window.removeEventListener('hashchange', key);",
+            '\t\t\t});',
+        ],
+        required: false,
+    },
+]
+
+/**
+ * Changes the Elm kernel code so that a running program can be replaced by a newer version of
+ * itself, which continues with the model of the old one like elm-hot does.
+ * The old program then forwards every message to the new one, because the existing DOM event
+ * handlers, ports and `Browser.Navigation.Key` still send their messages to the old one.
+ *
+ * @param {string} code compiled Elm js file
+ * @returns {string}
+ */
+export function enableHmr(code) {
+    return patches.reduce((patched, { line, replaceWith, required }) => {
+        const count = patched.split(line + '\n').length - 1
+        if (required && count !== 1) {
+            throw new Error(
+                'Could not enable hot module replacement, because the compiled Elm code ' +
+                    `does not contain the line '${line.trim()}' exactly once. Was it minified?`,
+            )
+        }
+        return patched.replaceAll(line + '\n', replaceWith.join('\n') + '\n')
+    }, code)
+}
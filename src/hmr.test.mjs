@@ -0,0 +1,238 @@
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { pathToFileURL } from 'node:url'
+import { expect, test } from 'vitest'
+import { enableHmr, hmrKey } from './hmr.mjs'
+import { split } from './main.mjs'
+import { createHmrRegistry } from './serve-client.mjs'
+
+/**
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<string>}
+ */
+function addedLines(before, after) {
+    const lines = new Set(before.split('\n'))
+    return after.split('\n').filter(line => !lines.has(line))
+}
+
+test('Patch the kernel code of a Browser.application', async () => {
+    const iife = await fs.readFile(
+        'examples/from-aide/compiled/BrowserApplication.debug.js',
+        'utf-8',
+    )
+    expect(addedLines(iife, enableHmr(iife))).toMatchInlineSnapshot(`
+      [
+        "	var hmr = args && args['__splitElmBundleHmrState'];",
+        "	sendToApp.hmr = hmr;",
+        "	var initPair = hmr && hmr.model ? { a: hmr.model.value, b: _Platform_batch(_List_Nil) } : init(result.a);",
+        "	hmr && (hmr.getModel = function() { return model; });",
+        "	hmr && (hmr.sendToApp = sendToApp);",
+        "	hmr && (hmr.stop = function(next) {",
+        "		hmr.next = next;",
+        "		hmr.cleanup && hmr.cleanup();",
+        "		_Platform_enqueueEffects(managers, _Platform_batch(_List_Nil), _Platform_batch(_List_Nil));",
+        "		if (hmr && hmr.next) { return hmr.next(msg, viewMetadata); }",
+        "	if (_Platform_effectManagers[name] && !globalThis.__splitElmBundleHmr)",
+        "				sendToApp.hmr && (sendToApp.hmr.node = domNode);",
+        "				sendToApp.hmr && (sendToApp.hmr.node = domNode);",
+        "			sendToApp.hmr && (sendToApp.hmr.cleanup = function() {",
+        "				_Browser_window.removeEventListener('popstate', key);",
+        "				_Browser_window.removeEventListener('hashchange', key);",
+      ]
+    `)
+})
+
+test('Fail if the kernel code was changed', () => {
+    expect(() => enableHmr('function _Platform_initialize(){}')).toThrowErrorMatchingInlineSnapshot(
+        '"Could not enable hot module replacement, because the compiled Elm code does not contain the line \'var initPair = init(result.a);\' exactly once. Was it minified?"',
+    )
+})
+
+/**
+ * A program that works like the patched `_Platform_initialize`, with a counter as its model.
+ *
+ * @param {number} step that every message adds to the model
+ * @param {Array<string>} log
+ * @returns {import('./serve-client.mjs').Init}
+ */
+function counter(step, log) {
+    return (args = {}) => {
+        const hmr = /** @type {import('./serve-client.mjs').Hmr} */ (args[hmrKey])
+        let model = hmr.model ? Number(hmr.model.value) : 0
+        /** @type {Set<Function>} */
+        const subscribers = new Set()
+        /** @param {number} msg */
+        const sendToApp = msg => {
+            if (hmr.next) return hmr.next(msg)
+            model += msg * step
+            subscribers.forEach(callback => callback(model))
+        }
+        hmr.getModel = () => model
+        hmr.sendToApp = sendToApp
+        hmr.stop = next => {
+            hmr.next = next
+            log.push(`stopped step ${step}`)
+        }
+        log.push(`started step ${step} with model ${model}`)
+        return {
+            ports: {
+                increment: { send: value => sendToApp(Number(value)) },
+                changed: {
+                    subscribe: callback => subscribers.add(callback),
+                    unsubscribe: callback => subscribers.delete(callback),
+                },
+            },
+        }
+    }
+}
+
+test('Replace a running program and keep its model', () => {
+    const registry = createHmrRegistry()
+    /** @type {Array<string>} */
+    const log = []
+    const url = 'http://localhost:8000/bundle.Counter.mjs'
+    const app = registry.register(url, 'Counter', counter(1, log))()
+    app.ports?.changed.subscribe?.((/** @type {number} */ model) => log.push(`model ${model}`))
+    app.ports?.increment.send?.(2)
+
+    expect(registry.has(`${url}?hmr=1`)).toBe(true)
+    registry.register(`${url}?hmr=1`, 'Counter', counter(10, log))
+    app.ports?.increment.send?.(2)
+
+    expect(log).toEqual([
+        'started step 1 with model 0',
+        'model 2',
+        'started step 10 with model 2',
+        'stopped step 1',
+        'model 22',
+    ])
+})
+
+/**
+ * Just enough of the DOM to render the programs of the example bundle and to click a button.
+ */
+class FakeNode {
+    /**
+     * @param {string} [tagName] a text node if not given
+     * @param {string} [text]
+     */
+    constructor(tagName, text = '') {
+        this.tagName = tagName?.toUpperCase()
+        this.nodeType = tagName ? 1 : 3
+        this.textContent = text
+        /** @type {Array<FakeNode>} */
+        this.childNodes = []
+        /** @type {Array<never>} no attributes, the example only sets properties */
+        this.attributes = []
+        this.style = {}
+        /** @type {Map<string, Function>} */
+        this.listeners = new Map()
+        /** @type {FakeNode|null} */
+        this.parentNode = null
+    }
+    get length() {
+        return this.textContent.length
+    }
+    /** @returns {string} */
+    get text() {
+        return this.nodeType === 3 ? this.textContent : this.childNodes.map(c => c.text).join('')
+    }
+    /** @param {FakeNode} child */
+    appendChild(child) {
+        return this.insertBefore(child, undefined)
+    }
+    /**
+     * @param {FakeNode} child
+     * @param {FakeNode|undefined} reference
+     */
+    insertBefore(child, reference) {
+        const index = reference ? this.childNodes.indexOf(reference) : -1
+        this.childNodes.splice(index < 0 ? this.childNodes.length : index, 0, child)
+        child.parentNode = this
+        return child
+    }
+    /**
+     * @param {FakeNode} child
+     * @param {FakeNode} old
+     */
+    replaceChild(child, old) {
+        this.childNodes[this.childNodes.indexOf(old)] = child
+        child.parentNode = this
+        return old
+    }
+    /**
+     * @param {number} _offset
+     * @param {number} _count
+     * @param {string} data
+     */
+    replaceData(_offset, _count, data) {
+        this.textContent = data
+    }
+    /**
+     * @param {string} type
+     * @param {Function} listener
+     */
+    addEventListener(type, listener) {
+        this.listeners.set(type, listener)
+    }
+    /** @param {string} type */
+    removeEventListener(type) {
+        this.listeners.delete(type)
+    }
+    /**
+     * @param {(node: FakeNode) => boolean} predicate
+     * @returns {FakeNode|undefined}
+     */
+    find(predicate) {
+        return predicate(this) ? this : this.childNodes.map(c => c.find(predicate)).find(Boolean)
+    }
+}
+
+test('Replace a running program of the split files', async () => {
+    const outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'split-elm-bundle-hmr-'))
+    const bundle = 'examples/from-aide/compiled/BrowserSandbox+BrowserElement.js'
+    const effects = { printLogs: false, writeFiles: true }
+    const result = await split(bundle, effects, { mode: 'shared', hmr: true, outDir })
+    if (result.result !== 'split-programs-one-shared') throw new Error(`Got ${result.result}`)
+    const file = result.output.programs[1].file
+    expect(file).toMatch(/BrowserSandbox\.mjs$/)
+
+    const registry = createHmrRegistry()
+    Object.assign(globalThis, {
+        __splitElmBundleHmr: registry,
+        document: {
+            createElement: (/** @type {string} */ tag) => new FakeNode(tag),
+            createTextNode: (/** @type {string} */ text) => new FakeNode(undefined, text),
+        },
+        window: { requestAnimationFrame: (/** @type {Function} */ f) => setTimeout(f, 0) },
+    })
+    const frame = () => new Promise(resolve => setTimeout(resolve, 10))
+    const body = new FakeNode('body')
+    const count = () => body.find(node => 'id' in node && node.id === 'number')?.text
+    const click = () => body.find(node => node.tagName === 'BUTTON')?.listeners.get('click')?.({})
+
+    const url = pathToFileURL(file).href
+    const { BrowserSandbox } = await import(url)
+    BrowserSandbox.init({ node: body.appendChild(new FakeNode('div')) })
+    click()
+    await frame()
+    expect(count()).toBe('1')
+
+    // the new version adds 10 on every click, and continues with the model of the old one
+    const code = await fs.readFile(file, 'utf-8')
+    await fs.writeFile(file, code.replace('return model + 1;', 'return model + 10;'))
+    expect(registry.has(`${url}?hmr=1`)).toBe(true)
+    await import(`${url}?hmr=1`)
+    await frame()
+    expect(count()).toBe('1')
+    click()
+    await frame()
+    expect(count()).toBe('11')
+
+    for (const name of ['__splitElmBundleHmr', 'document', 'window']) {
+        Reflect.deleteProperty(globalThis, name)
+    }
+    await fs.rm(outDir, { recursive: true })
+})
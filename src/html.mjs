@@ -0,0 +1,97 @@
+import path from 'node:path'
+import { elmObjectToString, exportName } from './convert-iife.mjs'
+
+const bundleStart = '(function(scope){'
+const bundleEnd = '}(this));'
+
+/**
+ * @typedef ElmHtml an HTML file generated by `elm make --output=index.html`
+ * @prop {string} bundle the compiled JS code
+ * @prop {string} before the HTML up to the `<script>` tag that contains the bundle
+ * @prop {string} script the code of the `<script>` tag without the bundle, which calls `init`
+ * @prop {string} after the HTML from the closing `</script>` tag on
+ */
+
+/**
+ * Elm inlines the bundle into a `<script>` tag, and calls `Elm.Main.init` after it.
+ *
+ * @param {string} html
+ * @returns {ElmHtml}
+ */
+export function parseElmHtml(html) {
+    const start = html.indexOf(bundleStart)
+    const close = html.indexOf('</script>', start)
+    const end = html.lastIndexOf(bundleEnd, close)
+    const open = html.lastIndexOf('<script', start)
+    const openEnd = html.indexOf('>', open) + 1
+    if (start < 0 || close < 0 || end < start || open < 0 || openEnd > start) {
+        throw new Error(
+            'Could not find the compiled Elm code in a `<script>` tag, was the HTML file generated by `elm make`?',
+        )
+    }
+    return {
+        bundle: html.slice(start, end + bundleEnd.length),
+        before: html.slice(0, open),
+        script: html.slice(openEnd, start) + html.slice(end + bundleEnd.length, close),
+        after: html.slice(close),
+    }
+}
+
+/**
+ * Replaces the inlined bundle with a module script that imports every program from the file that
+ * exports it. `Elm` is declared with the imported programs, so the `init` call keeps working.
+ *
+ * @param {ElmHtml} html
+ * @param {Array<{ name: string, specifier: string }>} programs
+ * @returns {string}
+ */
+export function rewriteElmHtml({ before, script, after }, programs) {
+    /** @type {Map<string, Array<string>>} */
+    const bySpecifier = new Map()
+    for (const { name, specifier } of programs) {
+        bySpecifier.set(specifier, [...(bySpecifier.get(specifier) ?? []), exportName(name)])
+    }
+    const imports = Array.from(
+        bySpecifier,
+        ([specifier, names]) => `import { ${names.join(', ')} } from '${specifier}';`,
+    )
+    return (
+        before +
+        '<script type="module">\n' +
+        imports.join('\n') +
+        `\nconst Elm = ${elmObjectToString(programs.map(({ name }) => name))};\n` +
+        script.replace(/^\n+/, '') +
+        after
+    )
+}
+
+/**
+ * @param {import('./types/public.js').SplitResult} result
+ * @param {string} name of a program
+ * @returns {string} the file that exports the program
+ */
+export function fileOfProgram(result, name) {
+    switch (result.result) {
+        case 'error':
+            throw new Error(result.message)
+        case 'esm-dce':
+            return result.output.file
+        case 'split-programs-lazy':
+            return result.output.entry.file
+        default:
+            return result.output.programs[result.programs.indexOf(name)].file
+    }
+}
+
+/**
+ * @param {string} input the HTML file
+ * @param {string} outDir
+ * @returns {string} the rewritten HTML file in `outDir`, which never replaces the input
+ */
+export function htmlOutputFile(input, outDir) {
+    const basename = path.basename(input, path.extname(input))
+    const file = path.join(outDir, `${basename}.html`)
+    return path.resolve(file) === path.resolve(input)
+        ? path.join(outDir, `${basename}.split.html`)
+        : file
+}
@@ -0,0 +1,144 @@
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { expect, test } from 'vitest'
+import { parseElmHtml, rewriteElmHtml } from './html.mjs'
+import { split } from './main.mjs'
+
+/**
+ * Like the HTML file of `elm make --output=index.html`
+ * @param {string} bundle
+ * @param {string} name of the program
+ */
+const elmHtml = (bundle, name) => `<!DOCTYPE HTML>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>${name}</title>
+  <style>body { padding: 0; margin: 0; }</style>
+</head>
+
+<body>
+
+<pre id="elm"></pre>
+
+<script>
+try {
+${bundle}
+
+  var app = Elm.${name}.init({ node: document.getElementById("elm") });
+}
+catch (e)
+{
+  // display initialization errors (e.g. bad flags, infinite recursion)
+  var header = document.createElement("h1");
+  throw e;
+}
+</script>
+
+</body>
+</html>`
+
+test('Replace the inlined bundle with imports', () => {
+    const html = parseElmHtml(
+        elmHtml("(function(scope){\n'use strict';\nvar a = 1;}(this));", 'Main'),
+    )
+    expect(html.bundle).toBe("(function(scope){\n'use strict';\nvar a = 1;}(this));")
+    expect(
+        rewriteElmHtml(html, [{ name: 'Main', specifier: './index.Main.mjs' }]),
+    ).toMatchInlineSnapshot(`
+      "<!DOCTYPE HTML>
+      <html>
+      <head>
+        <meta charset=\\"UTF-8\\">
+        <title>Main</title>
+        <style>body { padding: 0; margin: 0; }</style>
+      </head>
+
+      <body>
+
+      <pre id=\\"elm\\"></pre>
+
+      <script type=\\"module\\">
+      import { Main } from './index.Main.mjs';
+      const Elm = { Main };
+      try {
+
+
+        var app = Elm.Main.init({ node: document.getElementById(\\"elm\\") });
+      }
+      catch (e)
+      {
+        // display initialization errors (e.g. bad flags, infinite recursion)
+        var header = document.createElement(\\"h1\\");
+        throw e;
+      }
+      </script>
+
+      </body>
+      </html>"
+    `)
+})
+
+test('Reject HTML without a compiled Elm bundle', () => {
+    expect(() => parseElmHtml('<html><script>console.log(1)</script></html>')).toThrow(
+        'Could not find the compiled Elm code in a `<script>` tag',
+    )
+})
+
+test('Split the bundle of an HTML file', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'split-elm-bundle-html-'))
+    const effects = { printLogs: false, writeFiles: true }
+    for (const [fixture, name] of [
+        ['BrowserElement.js', 'BrowserElement'],
+        ['BrowserSandbox+BrowserElement.js', 'BrowserSandbox'],
+    ]) {
+        const bundle = await fs.readFile(`examples/from-aide/compiled/${fixture}`, 'utf-8')
+        await fs.writeFile(path.join(directory, `${name}.html`), elmHtml(bundle, name))
+    }
+
+    const single = await split(path.join(directory, 'BrowserElement.html'), effects, {
+        mode: 'shared',
+    })
+    expect(single.result).toBe('esm-dce')
+    if (single.result === 'error') throw new Error(single.message)
+    // the input is not replaced
+    expect(single.html?.file).toBe(path.join(directory, 'BrowserElement.split.html'))
+    const html = await fs.readFile(path.join(directory, 'BrowserElement.split.html'), 'utf-8')
+    expect(html).toContain(
+        '<script type="module">\nimport { BrowserElement } from \'./BrowserElement.html.dce.mjs\';\n',
+    )
+    expect(html).not.toContain('function(scope)')
+
+    const outDir = path.join(directory, 'dist')
+    const many = await split(path.join(directory, 'BrowserSandbox.html'), effects, {
+        mode: 'shared',
+        outDir,
+    })
+    if (many.result === 'error') throw new Error(many.message)
+    expect(many.html?.file).toBe(path.join(outDir, 'BrowserSandbox.html'))
+    expect(await fs.readFile(path.join(outDir, 'BrowserSandbox.html'), 'utf-8')).toContain(
+        [
+            "import { BrowserElement } from './BrowserSandbox.BrowserElement.mjs';",
+            "import { BrowserSandbox } from './BrowserSandbox.BrowserSandbox.mjs';",
+            'const Elm = { BrowserElement, BrowserSandbox };',
+        ].join('\n'),
+    )
+})
+
+test('Import programs of nested modules', () => {
+    const html = parseElmHtml(elmHtml('(function(scope){\n}(this));', 'Pages.Home'))
+    const programs = [
+        { name: 'Main', specifier: './index.Main.mjs' },
+        { name: 'Pages.Home', specifier: './index.Pages.Home.mjs' },
+        { name: 'Pages.Blog.Post', specifier: './index.Pages.Blog.Post.mjs' },
+    ]
+    expect(rewriteElmHtml(html, programs).split('\n').slice(12, 18)).toEqual([
+        '<script type="module">',
+        "import { Main } from './index.Main.mjs';",
+        "import { Pages_Home } from './index.Pages.Home.mjs';",
+        "import { Pages_Blog_Post } from './index.Pages.Blog.Post.mjs';",
+        'const Elm = { Main, Pages: { Home: Pages_Home, Blog: { Post: Pages_Blog_Post } } };',
+        'try {',
+    ])
+})
@@ -1,34 +1,132 @@
 import fs from 'node:fs/promises'
 import path from 'node:path'
 import { convert, programNodeNames } from './convert-iife.mjs'
+import { contentHash, defaultFileNames, fileNames, importSpecifier } from './file-names.mjs'
 import { sizesToString, stringSizeGzip, writeFileAndPrintSizes } from './file-size.mjs'
-import { convertAndRemoveDeadCode, splitWith1stMode } from './split-esm.mjs'
+import { fileOfProgram, htmlOutputFile, parseElmHtml, rewriteElmHtml } from './html.mjs'
+import { minify } from './minify.mjs'
+import {
+    convertAndRemoveDeadCode,
+    splitIntoStandalonePrograms,
+    splitWith1stMode,
+    splitWith2ndMode,
+    splitWith3rdMode,
+    splitWithGranularChunks,
+    splitWithLayers,
+} from './split-esm.mjs'
 
 /**
  * @typedef { import('./file-size.mjs').FileWithSizes } FileWithSizes
  */
 
+/**
+ * The input path that reads the bundle from stdin. Without an `outDir`, a bundle with only one
+ * program is then written to stdout, and one with several programs is an error.
+ */
+export const stdin = '-'
+
 /**
  * @param {string} filePath
  * @param {import('./types/public.js').SideEffects} effects
  * @returns {Promise<import('./types/public.js').SplitResult>}
  */
 export async function splitPerProgramWithSingleSharedData(filePath, effects) {
-    const data = await prepareSplit(filePath, effects)
+    return split(filePath, effects, { mode: 'shared' })
+}
+
+/**
+ * @param {string} filePath a bundle generated by `elm make --output=bundle.js`, or an HTML file
+ *  generated by `elm make --output=index.html`
+ * @param {import('./types/public.js').SideEffects} effects
+ * @param {import('./types/public.js').SplitOptions} options
+ * @returns {Promise<import('./types/public.js').SplitResult>}
+ */
+export async function split(filePath, effects, options) {
+    const result = await splitBundle(filePath, effects, options)
+    if (path.extname(filePath) !== '.html' || result.result === 'error') return result
+    const outDir = options.outDir ?? path.dirname(filePath)
+    return { ...result, html: await writeHtml(filePath, outDir, result, effects) }
+}
+
+/**
+ * Writes the HTML file again, but it imports the split files instead of inlining the bundle.
+ *
+ * @param {string} input
+ * @param {string} outDir
+ * @param {Exclude<import('./types/public.js').SplitResult, import('./types/public.js').Error>} result
+ * @param {import('./types/public.js').SideEffects} effects
+ * @returns {Promise<FileWithSizes>}
+ */
+async function writeHtml(input, outDir, result, effects) {
+    const html = parseElmHtml(await fs.readFile(input, 'utf-8'))
+    const file = htmlOutputFile(input, outDir)
+    /** @param {string} value */
+    const posix = value => value.split(path.sep).join('/')
+    const programs = result.programs.map(name => ({
+        name,
+        specifier: importSpecifier(posix(file), posix(fileOfProgram(result, name))),
+    }))
+    return writeFileAndPrintSizes(file, rewriteElmHtml(html, programs), effects)
+}
+
+/**
+ * @param {string} filePath
+ * @param {import('./types/public.js').SideEffects} effects
+ * @param {import('./types/public.js').SplitOptions} options
+ * @returns {Promise<import('./types/public.js').SplitResult>}
+ */
+async function splitBundle(filePath, effects, options) {
+    const data = await prepareSplit(filePath, effects, options)
     switch (data.result) {
         case 'error':
         case 'esm-dce':
             return data
 
         case 'can-split':
-            return splitWith1stMode({
+            const outDir = options.outDir ?? path.dirname(filePath)
+            const name = inputName(filePath)
+            const basename = path.basename(name, path.extname(name))
+            const params = {
                 input: data.input,
-                outDir: path.dirname(filePath),
-                basename: path.basename(filePath, path.extname(filePath)),
+                outDir,
+                basename,
+                fileNames: fileNames(
+                    options.fileNames ?? defaultFileNames,
+                    basename,
+                    programNodeNames(data.programNodes),
+                ),
+                manifest: options.manifest,
+                hmr: options.hmr,
+                imports: options.imports,
+                mangle: options.mangle,
+                minify: options.minify,
                 programNodes: data.programNodes,
                 esm: data.esm,
                 effects,
-            })
+            }
+            switch (options.mode) {
+                case 'shared':
+                    return splitWith1stMode({
+                        ...params,
+                        chunks: options.chunks,
+                        duplicateBelow: options.duplicateBelow,
+                        lockFile: options.lockFile,
+                    })
+                case 'lazy':
+                    return splitWith2ndMode(params)
+                case 'primary':
+                    return splitWith3rdMode({ ...params, primary: options.primary })
+                case 'granular':
+                    const { minChunkSize, pages } = options
+                    return splitWithGranularChunks({ ...params, minChunkSize, pages })
+                case 'layered':
+                    return splitWithLayers(params)
+                case 'standalone':
+                    return splitIntoStandalonePrograms(params)
+                default:
+                    // @ts-expect-error `options.mode` should never occur
+                    throw new Error(`Unknown split mode '${options.mode}'`)
+            }
 
         default:
             // @ts-expect-error `data.result` should never occur
@@ -50,35 +148,49 @@ export async function splitPerProgramWithSingleSharedData(filePath, effects) {
  *
  * @param {string} filePath
  * @param {import('./types/public.js').SideEffects} effects
+ * @param {Pick<import('./types/public.js').OutputOptions, 'outDir' | 'hmr' | 'minify'>} options
+ *  `outDir` defaults to the directory of `filePath`, or stdout for `stdin`, and `hmr` see `enableHmr`
  * @returns {Promise<ReadAndConvert>}
  */
-async function prepareSplit(filePath, effects) {
-    const iife = await fs.readFile(filePath, 'utf-8')
+async function prepareSplit(filePath, effects, { outDir, hmr = false, minify: minified }) {
+    const content = filePath === stdin ? await readStdin() : await fs.readFile(filePath, 'utf-8')
     if (effects.printLogs) {
         console.log(`Working in directory ${path.dirname(filePath)}`)
     }
-    const before = await stringSizeGzip(iife)
+    const before = await stringSizeGzip(content)
     if (effects.printLogs) {
         console.log(`Read ${path.basename(filePath)} ${sizesToString(before)}`)
     }
     /** @type FileWithSizes */
-    const input = { file: filePath, sizes: before }
+    const input = { file: filePath, sizes: before, hash: contentHash(content) }
 
     try {
-        const { esm, programNodes } = convert(iife)
+        const iife = path.extname(filePath) === '.html' ? parseElmHtml(content).bundle : content
+        const { esm, programNodes } = convert(iife, hmr)
         if (programNodes.length < 1) {
             throw new Error(`Could not extract a main program from '${filePath}'`)
         } else if (programNodes.length === 1) {
             console.warn('Did not split the file because it contains only one program.')
-            const esm = convertAndRemoveDeadCode(iife)
-            const newEsm = `// Converted from ${filePath}\n` + esm
-            const output = await writeFileAndPrintSizes(filePath + '.dce.mjs', newEsm, effects)
+            const esm = convertAndRemoveDeadCode(iife, hmr)
+            const newEsm = `// Converted from ${filePath === stdin ? 'stdin' : filePath}\n` + esm
+            const dest =
+                filePath === stdin && outDir === undefined
+                    ? stdin
+                    : path.join(outDir ?? path.dirname(filePath), inputName(filePath) + '.dce.mjs')
+            const output = minified
+                ? await writeFileAndPrintSizes(dest, minify(newEsm), effects, newEsm)
+                : await writeFileAndPrintSizes(dest, newEsm, effects)
             return { result: 'esm-dce', input, programs: programNodeNames(programNodes), output }
+        } else if (filePath === stdin && outDir === undefined) {
+            throw new Error(
+                `The bundle from stdin contains the programs ${programNodeNames(programNodes).join(', ')}, ` +
+                    'so please pass an `--out-dir` to write their files into',
+            )
         } else {
             return { result: 'can-split', input, esm, programNodes }
         }
     } catch (ex /** @type {unknown | Error} */) {
-        console.error(ex)
+        if (effects.printLogs) console.error(ex)
         return {
             result: 'error',
             input,
@@ -86,3 +198,21 @@ async function prepareSplit(filePath, effects) {
         }
     }
 }
+
+/**
+ * @param {string} filePath
+ * @returns {string} the file name, or `elm.js` like the default output of `elm make` for `stdin`
+ */
+function inputName(filePath) {
+    return filePath === stdin ? 'elm.js' : path.basename(filePath)
+}
+
+/**
+ * @returns {Promise<string>}
+ */
+async function readStdin() {
+    /** @type {Array<Buffer>} */
+    const chunks = []
+    for await (const chunk of process.stdin) chunks.push(chunk)
+    return Buffer.concat(chunks).toString('utf-8')
+}
@@ -0,0 +1,108 @@
+import { spawnSync } from 'node:child_process'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { expect, test } from 'vitest'
+
+const cli = path.resolve('bin/split-elm-bundle.mjs')
+
+/**
+ * @param {string} fixture
+ * @param {Array<string>} args
+ */
+const splitStdin = async (fixture, args) =>
+    spawnSync(process.execPath, [cli, '-', ...args], {
+        input: await fs.readFile(`examples/from-aide/compiled/${fixture}`, 'utf-8'),
+        encoding: 'utf-8',
+    })
+
+test('Write the program of a bundle from stdin to stdout', async () => {
+    const { status, stdout } = await splitStdin('BrowserElement.js', [])
+    expect(status).toBe(0)
+    expect(stdout.split('\n', 1)[0]).toBe('// Converted from stdin')
+    expect(stdout).toContain('export const BrowserElement = {')
+})
+
+test('Need an output directory for several programs from stdin', async () => {
+    const failed = await splitStdin('BrowserSandbox+BrowserElement.js', [])
+    expect(failed.status).toBe(1)
+    expect(failed.stdout).toBe('')
+    expect(failed.stderr.trim()).toBe(
+        'The bundle from stdin contains the programs BrowserElement, BrowserSandbox, ' +
+            'so please pass an `--out-dir` to write their files into',
+    )
+
+    const outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'split-elm-bundle-stdin-'))
+    const split = await splitStdin('BrowserSandbox+BrowserElement.js', [`--out-dir=${outDir}`])
+    expect(split.status).toBe(0)
+    expect((await fs.readdir(outDir)).sort()).toEqual([
+        'elm.BrowserElement.mjs',
+        'elm.BrowserSandbox.mjs',
+        'elm.shared.mjs',
+    ])
+})
+
+test('Replacing programs needs file names without a hash', () => {
+    const bundle = 'examples/from-aide/compiled/BrowserSandbox+BrowserElement.js'
+    const { status, stderr } = spawnSync(
+        process.execPath,
+        [cli, 'serve', '--hmr', '--file-names=[name].[hash].mjs', bundle],
+        { encoding: 'utf-8', timeout: 10_000 },
+    )
+    expect(status).toBe(1)
+    expect(stderr.trim()).toBe('`--hmr` cannot be combined with a `[hash]` in `--file-names`')
+})
+
+test('Turn off a flag of the config file', async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'split-elm-bundle-no-flag-'))
+    const config = path.join(root, 'split-elm-bundle.config.json')
+    await fs.writeFile(config, JSON.stringify({ manifest: true }))
+
+    const turnedOff = path.join(root, 'off')
+    const off = await splitStdin('BrowserSandbox+BrowserElement.js', [
+        `--config=${config}`,
+        `--out-dir=${turnedOff}`,
+        '--no-manifest',
+    ])
+    expect(off.status).toBe(0)
+    expect(await fs.readdir(turnedOff)).not.toContain('elm.manifest.json')
+
+    const turnedOn = path.join(root, 'on')
+    const on = await splitStdin('BrowserSandbox+BrowserElement.js', [
+        `--config=${config}`,
+        `--out-dir=${turnedOn}`,
+    ])
+    expect(on.status).toBe(0)
+    expect(await fs.readdir(turnedOn)).toContain('elm.manifest.json')
+
+    const both = await splitStdin('BrowserElement.js', ['--manifest', '--no-manifest'])
+    expect(both.status).toBe(1)
+    expect(both.stderr.trim()).toBe('`--manifest` cannot be combined with `--no-manifest`')
+    await fs.rm(root, { recursive: true })
+})
+
+test('Override the mode of the config file', async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'split-elm-bundle-mode-'))
+    const config = path.join(root, 'split-elm-bundle.config.json')
+    await fs.writeFile(config, JSON.stringify({ mode: 'granular', minChunkSize: 500 }))
+
+    const outDir = path.join(root, 'shared')
+    const shared = await splitStdin('BrowserSandbox+BrowserElement.js', [
+        `--config=${config}`,
+        `--out-dir=${outDir}`,
+        '--mode=shared',
+    ])
+    expect(shared.status).toBe(0)
+    expect(await fs.readdir(outDir)).toContain('elm.shared.mjs')
+
+    // options that are passed to the CLI still need to fit the mode
+    const both = await splitStdin('BrowserSandbox+BrowserElement.js', [
+        `--config=${config}`,
+        `--out-dir=${outDir}`,
+        '--mode=shared',
+        '--min-chunk-size=500',
+    ])
+    expect(both.status).toBe(1)
+    expect(both.stderr.trim()).toBe('`--min-chunk-size` cannot be combined with `--mode=shared`')
+    await fs.rm(root, { recursive: true })
+})
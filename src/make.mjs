@@ -0,0 +1,80 @@
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+
+/**
+ * @typedef MakeOptions
+ * @prop {string} [compiler] the path or name of the `elm` binary, `elm` by default
+ * @prop {boolean} [optimize]
+ * @prop {boolean} [debug]
+ * @prop {boolean} [quiet] writes the stdout of the compiler to stderr, e.g. to keep a JSON report on stdout clean
+ */
+
+/**
+ * Compiles the Elm `files` with `elm make` into one bundle in a temporary directory, and calls
+ * `run` with the path of the bundle. The directory is removed afterwards.
+ * The compiler writes its output and errors directly to the terminal, so they look exactly
+ * like those of `elm make`.
+ *
+ * @param {Array<string>} files
+ * @param {MakeOptions} options
+ * @param {(bundle: string) => Promise<void>} run
+ * @returns {Promise<number>} the exit code of the compiler, `run` is only called if it is 0
+ */
+export async function makeAndRun(files, options, run) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'split-elm-bundle-'))
+    try {
+        const bundle = path.join(directory, 'elm.js')
+        const exitCode = await runCompiler(options, elmMakeArgs(files, bundle, options))
+        if (exitCode === 0) await run(bundle)
+        return exitCode
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true })
+    }
+}
+
+/**
+ * @param {Array<string>} files
+ * @param {string} output
+ * @param {MakeOptions} options
+ * @returns {Array<string>}
+ */
+export function elmMakeArgs(files, output, { optimize, debug }) {
+    if (optimize && debug) {
+        throw new Error('`--optimize` cannot be combined with `--debug`')
+    }
+    const other = files.find(file => path.extname(file) !== '.elm')
+    if (other) {
+        throw new Error(`\`make\` can only compile \`.elm\` files, but got \`${other}\``)
+    }
+    return [
+        'make',
+        ...files,
+        `--output=${output}`,
+        ...(optimize ? ['--optimize'] : []),
+        ...(debug ? ['--debug'] : []),
+    ]
+}
+
+/**
+ * @param {MakeOptions} options
+ * @param {Array<string>} args
+ * @returns {Promise<number>} the exit code
+ */
+function runCompiler({ compiler = 'elm', quiet }, args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(compiler, args, {
+            stdio: ['inherit', quiet ? 2 : 'inherit', 'inherit'],
+        })
+        child.on('error', error =>
+            reject(
+                new Error(
+                    `Could not run the Elm compiler \`${compiler}\`: ${error.message}\n` +
+                        'Pass its path with e.g. `--compiler=node_modules/.bin/elm`',
+                ),
+            ),
+        )
+        child.on('close', (code, signal) => resolve(code ?? (signal ? 1 : 0)))
+    })
+}
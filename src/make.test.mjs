@@ -0,0 +1,130 @@
+import { execFile } from 'node:child_process'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { promisify } from 'node:util'
+import { beforeAll, expect, test } from 'vitest'
+import { elmMakeArgs, makeAndRun } from './make.mjs'
+
+const fixture = path.resolve('examples/from-aide/compiled/BrowserSandbox+BrowserElement.js')
+const cli = path.resolve('bin/split-elm-bundle.mjs')
+const compileError =
+    '-- NAMING ERROR --------------- src/Broken.elm\n\nI cannot find a `viw` variable\n'
+
+let directory = ''
+let compiler = ''
+
+/**
+ * A stub of `elm make`, which writes the fixture to `--output` and the arguments to `args.json`,
+ * or fails like the compiler for a file called `Broken.elm`.
+ * For a file called `Plain.elm`, it writes JavaScript without any Elm programs.
+ */
+beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'split-elm-bundle-make-'))
+    compiler = path.join(directory, 'elm')
+    await fs.writeFile(
+        compiler,
+        `#! /usr/bin/env node
+const fs = require('node:fs')
+const args = process.argv.slice(2)
+fs.writeFileSync(${JSON.stringify(path.join(directory, 'args.json'))}, JSON.stringify(args))
+if (args.some(arg => arg.endsWith('Broken.elm'))) {
+    process.stderr.write(${JSON.stringify(compileError)})
+    process.exit(1)
+}
+const output = args.find(arg => arg.startsWith('--output=')).slice('--output='.length)
+if (args.some(arg => arg.endsWith('Plain.elm'))) fs.writeFileSync(output, 'console.log(1)\\n')
+else fs.copyFileSync(${JSON.stringify(fixture)}, output)
+console.log('Success! Compiled 2 modules.')
+`,
+    )
+    await fs.chmod(compiler, 0o755)
+})
+
+test('Compile the Elm files into a temporary bundle', async () => {
+    /** @type {Array<string>} */
+    const bundles = []
+    const exitCode = await makeAndRun(
+        ['src/A.elm', 'src/B.elm'],
+        { compiler, optimize: true, quiet: true },
+        async bundle => {
+            bundles.push(bundle)
+            expect(await fs.readFile(bundle, 'utf-8')).toBe(await fs.readFile(fixture, 'utf-8'))
+        },
+    )
+    expect(exitCode).toBe(0)
+    expect(bundles).toHaveLength(1)
+    const args = JSON.parse(await fs.readFile(path.join(directory, 'args.json'), 'utf-8'))
+    expect(args).toEqual(['make', 'src/A.elm', 'src/B.elm', `--output=${bundles[0]}`, '--optimize'])
+    // the temporary directory is removed
+    await expect(fs.stat(path.dirname(bundles[0]))).rejects.toThrow('ENOENT')
+})
+
+test('Only pass `.elm` files and one of `--optimize` and `--debug` to the compiler', () => {
+    expect(elmMakeArgs(['src/Main.elm'], 'elm.js', { debug: true })).toEqual([
+        'make',
+        'src/Main.elm',
+        '--output=elm.js',
+        '--debug',
+    ])
+    expect(() => elmMakeArgs(['elm.js'], 'out.js', {})).toThrow(
+        '`make` can only compile `.elm` files, but got `elm.js`',
+    )
+    expect(() => elmMakeArgs(['src/Main.elm'], 'out.js', { optimize: true, debug: true })).toThrow(
+        '`--optimize` cannot be combined with `--debug`',
+    )
+})
+
+test('Report a compiler that cannot be found', async () => {
+    const compiler = path.join(directory, 'missing-elm')
+    await expect(makeAndRun(['src/Main.elm'], { compiler }, async () => {})).rejects.toThrow(
+        `Could not run the Elm compiler \`${compiler}\``,
+    )
+})
+
+test('Split the compiled bundle with the CLI', async () => {
+    const outDir = path.join(directory, 'dist')
+    const { stdout } = await promisify(execFile)(process.execPath, [
+        cli,
+        'make',
+        'src/A.elm',
+        `--compiler=${compiler}`,
+        `--output-dir=${outDir}`,
+        '--report=json',
+    ])
+    expect(JSON.parse(stdout).result).toBe('split-programs-one-shared')
+    expect((await fs.readdir(outDir)).sort()).toEqual([
+        'elm.BrowserElement.mjs',
+        'elm.BrowserSandbox.mjs',
+        'elm.shared.mjs',
+    ])
+})
+
+test('Forward the errors of the compiler verbatim and exit with its exit code', async () => {
+    const result = await promisify(execFile)(process.execPath, [
+        cli,
+        'make',
+        'src/Broken.elm',
+        `--compiler=${compiler}`,
+        `--output-dir=${path.join(directory, 'broken')}`,
+    ]).catch(error => error)
+    expect(result.code).toBe(1)
+    expect(result.stderr).toBe(compileError)
+    expect(result.stdout).toBe('')
+})
+
+test('Exit with an error if the compiled bundle cannot be split', async () => {
+    const result = await promisify(execFile)(process.execPath, [
+        cli,
+        'make',
+        'src/Plain.elm',
+        `--compiler=${compiler}`,
+        `--output-dir=${path.join(directory, 'plain')}`,
+        '--report=json',
+    ]).catch(error => error)
+    expect(result.code).toBe(1)
+    expect(JSON.parse(result.stdout)).toMatchObject({
+        result: 'error',
+        message: expect.stringContaining("Expected an object with an 'init'"),
+    })
+})
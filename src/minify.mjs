@@ -0,0 +1,328 @@
+import { localDeclarations } from './dependency-graph.mjs'
+import { jsParser } from './js-parser.mjs'
+
+/**
+ * @typedef {import('tree-sitter').SyntaxNode} SyntaxNode
+ *
+ * @typedef Scope the parameters and local variables of a function or `catch` clause
+ * @prop {Scope|undefined} parent
+ * @prop {Array<string>} declarations
+ * @prop {Map<string, string>} names the new name of every declaration
+ * @prop {number} end the index of the next new name, the names of child scopes continue there
+ */
+
+/**
+ * Minifies an output file: strips comments and whitespace, and gives the parameters and local
+ * variables of functions short names.
+ * Top-level declarations keep their names, so the helpers `F2`..`F9` and `A2`..`A9` and all
+ * names that are imported from or exported to other files stay intact.
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+export function minify(code) {
+    const tree = jsParser.parse(code)
+    if (tree.rootNode.hasError()) {
+        throw new Error('Cannot minify code that tree-sitter cannot parse')
+    }
+    const renamed = renameLocals(tree.rootNode)
+
+    /** @type {Array<string>} */
+    const tokens = []
+    /** @param {SyntaxNode} node */
+    const emit = node => {
+        switch (node.type) {
+            case 'comment':
+                return
+            case 'string':
+            case 'regex':
+            case 'number':
+                tokens.push(node.text)
+                return
+            case 'template_string':
+                tokens.push(templateString(node))
+                return
+            case 'identifier':
+            case 'shorthand_property_identifier': {
+                const name = renamed.get(node.startIndex)
+                if (name === undefined) tokens.push(node.text)
+                else if (node.type === 'identifier') tokens.push(name)
+                else tokens.push(node.text, ':', name)
+                return
+            }
+        }
+        if (node.childCount === 0) {
+            tokens.push(node.text)
+            return
+        }
+        node.children.forEach(emit)
+        if (needsSemicolon(node)) tokens.push(';')
+    }
+    /**
+     * The text of a template string is kept as it is, but not the code of its substitutions.
+     * @param {SyntaxNode} node with type `template_string`
+     */
+    const templateString = node => {
+        let text = ''
+        let lastIndex = node.startIndex
+        for (const child of node.namedChildren) {
+            if (child.type !== 'template_substitution') continue
+            text += code.substring(lastIndex, child.startIndex) + '${'
+            tokens.push(text)
+            child.namedChildren.forEach(emit)
+            text = '}'
+            lastIndex = child.endIndex
+        }
+        return text + code.substring(lastIndex, node.endIndex)
+    }
+    emit(tree.rootNode)
+
+    let result = ''
+    for (const token of tokens) {
+        if (result.length > 0 && needsSpace(result[result.length - 1], token[0])) result += ' '
+        result += token
+    }
+    return result + '\n'
+}
+
+/**
+ * Finds the new names of all identifiers that refer to a parameter or local variable.
+ * A scope continues with the new names after the ones of its parent, so it never hides a name
+ * of a parent. And no new name is used by the code for a top-level declaration or a global.
+ *
+ * @param {SyntaxNode} root
+ * @returns {Map<number, string>} new name by the start index of an identifier
+ */
+function renameLocals(root) {
+    /** @type {Array<Scope>} */
+    const scopes = []
+    /** @type {Array<{ node: SyntaxNode, scope: Scope|undefined }>} */
+    const identifiers = []
+
+    /**
+     * @param {SyntaxNode} node
+     * @param {Scope|undefined} scope
+     */
+    const visit = (node, scope) => {
+        // the keyword `function` has the same type as a function expression
+        switch (node.isNamed ? node.type : undefined) {
+            case 'function':
+            case 'function_declaration':
+            case 'arrow_function':
+            case 'catch_clause': {
+                const inner = {
+                    parent: scope,
+                    declarations: localDeclarations(node),
+                    names: new Map(),
+                    end: 0,
+                }
+                scopes.push(inner)
+                node.children.forEach((child, index) => {
+                    if (child.type === 'formal_parameters') rejectPatterns(child)
+                    // the name of a function declaration is declared in the outer scope
+                    const isName = node.type === 'function_declaration' && index === 1
+                    visit(child, isName ? scope : inner)
+                })
+                return
+            }
+            case 'identifier':
+            case 'shorthand_property_identifier':
+                if (node.text === 'eval') {
+                    throw new Error('Cannot minify code that calls `eval`')
+                }
+                identifiers.push({ node, scope })
+                return
+            case 'variable_declarator':
+                if (node.children[0].type !== 'identifier') {
+                    throw unsupported(node)
+                }
+                break
+            case 'lexical_declaration':
+            case 'class_declaration':
+            case 'class':
+                // only the top level may declare names that are scoped to a block
+                if (scope) throw unsupported(node)
+                break
+            case 'for_in_statement':
+                if (scope && ['let', 'const'].includes(node.children[2].type)) {
+                    throw unsupported(node)
+                }
+                break
+            case 'with_statement':
+            case 'shorthand_property_identifier_pattern':
+                throw unsupported(node)
+        }
+        node.children.forEach(child => visit(child, scope))
+    }
+    visit(root, undefined)
+
+    /**
+     * @param {string} name
+     * @param {Scope|undefined} scope
+     * @returns {Scope|undefined} the scope that declares `name`
+     */
+    const resolve = (name, scope) =>
+        !scope || scope.declarations.includes(name) ? scope : resolve(name, scope.parent)
+
+    const reserved = new Set(reservedWords)
+    for (const { node, scope } of identifiers) {
+        if (!resolve(node.text, scope)) reserved.add(node.text)
+    }
+    // parents come before their children
+    for (const scope of scopes) {
+        let index = scope.parent?.end ?? 0
+        for (const declaration of scope.declarations) {
+            if (scope.names.has(declaration)) continue
+            let name = nameFor(index++)
+            while (reserved.has(name)) name = nameFor(index++)
+            scope.names.set(declaration, name)
+        }
+        scope.end = index
+    }
+
+    /** @type {Map<number, string>} */
+    const renamed = new Map()
+    for (const { node, scope } of identifiers) {
+        const name = resolve(node.text, scope)?.names.get(node.text)
+        if (name !== undefined && name !== node.text) renamed.set(node.startIndex, name)
+    }
+    return renamed
+}
+
+/**
+ * @param {SyntaxNode} node with type `formal_parameters`
+ */
+function rejectPatterns(node) {
+    const pattern = node.namedChildren.find(n => n.type !== 'identifier' && n.type !== 'comment')
+    if (pattern) throw unsupported(pattern)
+}
+
+/**
+ * @param {SyntaxNode} node
+ * @returns {Error}
+ */
+function unsupported(node) {
+    const { row, column } = node.startPosition
+    return new Error(`Cannot minify \`${node.type}\` at ${row + 1}:${column + 1}`)
+}
+
+/**
+ * Statements that end with a `;`, which might have been inserted automatically.
+ * Without the line breaks, it is needed to separate them from the next statement.
+ *
+ * @param {SyntaxNode} node
+ * @returns {boolean}
+ */
+function needsSemicolon(node) {
+    const last = node.children.filter(n => n.type !== 'comment').at(-1)
+    if (!last || last.type === ';') return false
+    switch (node.type) {
+        case 'expression_statement':
+        case 'variable_declaration':
+        case 'lexical_declaration':
+        case 'return_statement':
+        case 'throw_statement':
+        case 'break_statement':
+        case 'continue_statement':
+        case 'do_statement':
+        case 'debugger_statement':
+        case 'import_statement':
+            return true
+        case 'export_statement':
+            return !last.type.endsWith('declaration')
+        default:
+            return false
+    }
+}
+
+/**
+ * @param {string} before the last character of the previous token
+ * @param {string} after the first character of the next token
+ * @returns {boolean} if they would be read as one token without a space in between
+ */
+function needsSpace(before, after) {
+    return (
+        (isWordCharacter(before) && isWordCharacter(after)) ||
+        ((before === '+' || before === '-') && after === before) ||
+        (before === '/' && (after === '/' || after === '*')) ||
+        (/[0-9]/.test(before) && after === '.')
+    )
+}
+
+/**
+ * @param {string} character
+ * @returns {boolean}
+ */
+function isWordCharacter(character) {
+    return /[\w$]/.test(character) || character.charCodeAt(0) > 127
+}
+
+const firstCharacters = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ_$'
+const otherCharacters = firstCharacters + '0123456789'
+
+/**
+ * @param {number} index
+ * @returns {string} `a`, `b`, ..., `$`, `aa`, `ba`, ...
+ */
+function nameFor(index) {
+    let name = firstCharacters[index % firstCharacters.length]
+    index = Math.floor(index / firstCharacters.length)
+    while (index > 0) {
+        index -= 1
+        name += otherCharacters[index % otherCharacters.length]
+        index = Math.floor(index / otherCharacters.length)
+    }
+    return name
+}
+
+const reservedWords = [
+    'arguments',
+    'await',
+    'break',
+    'case',
+    'catch',
+    'class',
+    'const',
+    'continue',
+    'debugger',
+    'default',
+    'delete',
+    'do',
+    'else',
+    'enum',
+    'eval',
+    'export',
+    'extends',
+    'false',
+    'finally',
+    'for',
+    'function',
+    'if',
+    'implements',
+    'import',
+    'in',
+    'instanceof',
+    'interface',
+    'let',
+    'new',
+    'null',
+    'package',
+    'private',
+    'protected',
+    'public',
+    'return',
+    'static',
+    'super',
+    'switch',
+    'this',
+    'throw',
+    'true',
+    'try',
+    'typeof',
+    'undefined',
+    'var',
+    'void',
+    'while',
+    'with',
+    'yield',
+]
@@ -0,0 +1,74 @@
+import { expect, test } from 'vitest'
+import { minify } from './minify.mjs'
+
+test('Strip comments and whitespace', () => {
+    const code = `// comment
+var $author$project$Main$init = { count: 0 } /* comment */
+var _Utils_Tuple0 = 0
+function _Utils_eq(x, y) {
+    return x === y
+}
+var i = 1; i + +i; i - -i; i++ + ++i; 1 / 2 / 3; 1..toString()
+`
+    expect(minify(code)).toBe(
+        'var $author$project$Main$init={count:0};var _Utils_Tuple0=0;function _Utils_eq(a,b){return a===b;}' +
+            'var i=1;i+ +i;i- -i;i++ + ++i;1/2/3;1..toString();\n',
+    )
+})
+
+test('Rename local variables but keep top-level declarations', () => {
+    const code = `var F2 = function (fun) { return F(2, fun, function (a) { return function (b) { return fun(a, b) } }) }
+var A2 = function (fun, a, b) { return fun.a === 2 ? fun.f(a, b) : fun(a)(b) }
+var $elm$core$List$map = F2(function (f, xs) {
+    var result = { xs, count: xs.length }
+    for (var key in result) {
+        try { throw key } catch (e) { result[key] = \`\${e}-\${ f(key) }\` }
+    }
+    return result
+})
+export { A2, F2, $elm$core$List$map as map }
+`
+    const minified = minify(code)
+    expect(minified).toBe(
+        'var F2=function(a){return F(2,a,function(b){return function(c){return a(b,c);};});};' +
+            'var A2=function(a,b,c){return a.a===2?a.f(b,c):a(b)(c);};' +
+            'var $elm$core$List$map=F2(function(a,b){var c={xs:b,count:b.length};' +
+            'for(var d in c){try{throw d;}catch(e){c[d]=`${e}-${a(d)}`;}}return c;});' +
+            'export{A2,F2,$elm$core$List$map as map};\n',
+    )
+})
+
+test('Local variables never get the name of a global', () => {
+    const code = `var a = 1
+function get(b, c) { return a + b + c + arguments.length }
+`
+    expect(minify(code)).toBe('var a=1;function get(b,c){return a+b+c+arguments.length;}\n')
+})
+
+test('The minified code does the same', () => {
+    const code = `function fold(fun, acc, list) {
+    for (var index = 0; index < list.length; index++) {
+        var item = list[index]
+        acc = fun(item)(acc)
+    }
+    return acc
+}
+var sum = fold(function (item) { return function (acc) { return acc + item } }, 0, [1, 2, 3])
+var text = fold(x => acc => \`\${acc}, "\${x}"\`, '', ['a', 'b'])
+return [sum, text]
+`
+    const run = (/** @type {string} */ body) => new Function(body)()
+    expect(run(minify(code))).toEqual(run(code))
+    expect(run(minify(code))).toEqual([6, ', "a", "b"'])
+})
+
+test('Code that cannot be minified', () => {
+    expect(() => minify('function f(a) { let b = a; return b }')).toThrowError(
+        'Cannot minify `lexical_declaration` at 1:17',
+    )
+    expect(() => minify('function f({ a }) { return a }')).toThrowError(
+        'Cannot minify `object_pattern` at 1:12',
+    )
+    expect(() => minify('function f(a) { return eval(a) }')).toThrowError('calls `eval`')
+    expect(() => minify('var a = (')).toThrowError('tree-sitter cannot parse')
+})
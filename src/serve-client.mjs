@@ -0,0 +1,167 @@
+/**
+ * The client of the dev server, which is loaded first by every HTML page that it serves.
+ * It reloads the page on a `reload` event, and on an `update` event it imports the changed
+ * program files again, which then replace their running programs, see `createHmrRegistry`.
+ */
+
+/**
+ * @typedef {(args?: Args) => App} Init the `init` function of an Elm program
+ * @typedef {{ node?: Element, flags?: unknown, [key: string]: unknown }} Args
+ * @typedef {{ ports?: Record<string, Port> }} App
+ * @typedef {{
+ *  send?: (value: unknown) => void,
+ *  subscribe?: (callback: Function) => void,
+ *  unsubscribe?: (callback: Function) => void,
+ * }} Port
+ *
+ * @typedef Hmr the state that a running program shares with this client, see `src/hmr.mjs`
+ * @prop {{ value: unknown }} [model] continue with this model instead of calling `init`
+ * @prop {() => unknown} [getModel] set by the program
+ * @prop {Function} [sendToApp] set by the program
+ * @prop {(next: Function) => void} [stop] set by the program, which then forwards its messages to `next`
+ * @prop {Function} [next] set by `stop`
+ * @prop {Element} [node] set by a `Browser.element`, its current root node
+ *
+ * @typedef {{ args: Args, hmr: Hmr, app: App, subscribers: Map<string, Set<Function>> }} Instance
+ * @typedef {{ init: Init, instances: Array<Instance> }} Program
+ */
+
+/** The same as `hmrKey` in `src/hmr.mjs` */
+const hmrKey = '__splitElmBundleHmrState'
+
+/**
+ * Keeps track of the running instances of every program.
+ * Once a program file is imported again, `register` is called with the new `init` of its
+ * programs, which replaces every running instance with a new one that continues with its model.
+ */
+export function createHmrRegistry() {
+    /** @type {Map<string, Map<string, Program>>} the programs of every file URL */
+    const files = new Map()
+
+    /**
+     * @param {Program} program
+     * @param {Args} args
+     * @returns {App}
+     */
+    const start = (program, args = {}) => {
+        /** @type {Instance} */
+        const instance = { args, hmr: {}, app: {}, subscribers: new Map() }
+        instance.app = program.init({ ...args, [hmrKey]: instance.hmr })
+        program.instances.push(instance)
+        return instance.app.ports ? { ports: portsOf(instance, instance.app.ports) } : {}
+    }
+
+    /**
+     * @param {Instance} instance
+     * @param {Init} init
+     */
+    const replace = (instance, init) => {
+        const previous = instance.hmr
+        if (!previous.getModel || !previous.stop) {
+            throw new Error('The program does not support hot module replacement')
+        }
+        /** @type {Hmr} */
+        const hmr = { model: { value: previous.getModel() } }
+        const node = previous.node ?? instance.args.node
+        instance.app = init({ ...instance.args, node, [hmrKey]: hmr })
+        instance.hmr = hmr
+        previous.stop(/** @type {Function} */ (hmr.sendToApp))
+        instance.subscribers.forEach((callbacks, name) =>
+            callbacks.forEach(callback => instance.app.ports?.[name]?.subscribe?.(callback)),
+        )
+    }
+
+    return {
+        /**
+         * @param {string} url of the file that exports the program
+         * @param {string} name of the program
+         * @param {Init} init
+         * @returns {Init} which starts the newest version of the program
+         */
+        register: (url, name, init) => {
+            const file = withoutQuery(url)
+            const programs = files.get(file) ?? new Map()
+            files.set(file, programs)
+            /** @type {Program} */
+            const program = programs.get(name) ?? { init, instances: [] }
+            programs.set(name, program)
+            program.init = init
+            program.instances.forEach(instance => replace(instance, init))
+            return args => start(program, args)
+        },
+        /**
+         * @param {string} url
+         * @returns {boolean} if the file exports a program that was registered
+         */
+        has: url => files.has(withoutQuery(url)),
+    }
+}
+
+/**
+ * The ports of the newest version of a program. So JS code that uses the ports of the first
+ * version keeps working, and its subscriptions are moved to every new version.
+ *
+ * @param {Instance} instance
+ * @param {Record<string, Port>} ports of the first version
+ * @returns {Record<string, Port>}
+ */
+function portsOf(instance, ports) {
+    /** @param {string} name */
+    const current = name => instance.app.ports?.[name]
+    /** @param {string} name */
+    const subscribers = name => {
+        const callbacks = instance.subscribers.get(name) ?? new Set()
+        instance.subscribers.set(name, callbacks)
+        return callbacks
+    }
+    return Object.fromEntries(
+        Object.entries(ports).map(([name, port]) => [
+            name,
+            port.send
+                ? { send: value => current(name)?.send?.(value) }
+                : {
+                      subscribe: callback => {
+                          subscribers(name).add(callback)
+                          current(name)?.subscribe?.(callback)
+                      },
+                      unsubscribe: callback => {
+                          subscribers(name).delete(callback)
+                          current(name)?.unsubscribe?.(callback)
+                      },
+                  },
+        ]),
+    )
+}
+
+/**
+ * @param {string} url
+ * @returns {string}
+ */
+function withoutQuery(url) {
+    return url.replace(/[?#].*$/, '')
+}
+
+if (typeof document !== 'undefined') {
+    const registry = createHmrRegistry()
+    Object.assign(globalThis, { __splitElmBundleHmr: registry })
+
+    const events = new EventSource(new URL('./events', import.meta.url))
+    events.addEventListener('reload', () => location.reload())
+    events.addEventListener('update', async event => {
+        /** @type {{ files: Array<string> }} */
+        const { files } = JSON.parse(event.data)
+        try {
+            // the files that this page did not load have nothing to replace
+            const replaced = files.filter(file => registry.has(new URL(file, location.href).href))
+            for (const file of replaced) {
+                await import(`${new URL(file, location.href).href}?hmr=${Date.now()}`)
+            }
+            if (replaced.length > 0) {
+                console.info('[split-elm-bundle] Replaced', replaced.join(', '))
+            }
+        } catch (error) {
+            console.error('[split-elm-bundle] Reloading, because a replacement failed', error)
+            location.reload()
+        }
+    })
+}
@@ -0,0 +1,120 @@
+import fs from 'node:fs/promises'
+import http from 'node:http'
+import path from 'node:path'
+
+/** The path prefix of everything the dev server adds to the served directory */
+export const internalPath = '/__split-elm-bundle'
+
+/** @type {Record<string, string>} */
+const mimeTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+}
+
+const clientFile = new URL('./serve-client.mjs', import.meta.url)
+
+/**
+ * Creates an HTTP server that serves the files in `root`, and injects a small script into every
+ * HTML page which reloads the page whenever `reload` is called, and which replaces the running
+ * programs of the changed program files whenever `update` is called.
+ * The script listens to Server-Sent Events, so no other dependencies are needed.
+ *
+ * @param {{ root: string }} options
+ * @returns {{
+ *  server: http.Server,
+ *  reload: (files: Array<string>) => void,
+ *  update: (files: Array<string>) => void,
+ *  close: () => Promise<void>,
+ * }}
+ */
+export function createDevServer({ root }) {
+    /** @type {Set<http.ServerResponse>} */
+    const clients = new Set()
+
+    const server = http.createServer(async (request, response) => {
+        const url = new URL(request.url ?? '/', 'http://localhost')
+        if (url.pathname === `${internalPath}/events`) {
+            response.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive',
+            })
+            response.write(': connected\n\n')
+            clients.add(response)
+            request.on('close', () => clients.delete(response))
+            return
+        }
+        if (url.pathname === `${internalPath}/client.mjs`) {
+            response.writeHead(200, { 'Content-Type': mimeTypes['.mjs'] })
+            response.end(await fs.readFile(clientFile))
+            return
+        }
+
+        try {
+            const file = path.join(root, decodeURIComponent(url.pathname))
+            const relative = path.relative(root, file)
+            // a file like `..foo.mjs` is still inside of the root
+            const outside =
+                relative === '..' ||
+                relative.startsWith('..' + path.sep) ||
+                path.isAbsolute(relative)
+            if (outside) {
+                response.writeHead(403).end()
+                return
+            }
+            const stat = await fs.stat(file)
+            const resolved = stat.isDirectory() ? path.join(file, 'index.html') : file
+            const extension = path.extname(resolved)
+            let content = await fs.readFile(resolved)
+            if (extension === '.html') {
+                content = Buffer.from(injectClient(content.toString('utf-8')))
+            }
+            response.writeHead(200, {
+                'Content-Type': mimeTypes[extension] ?? 'application/octet-stream',
+                'Cache-Control': 'no-store',
+            })
+            response.end(content)
+        } catch (error) {
+            // e.g. `/%E0%A4%A` is not a valid escape sequence
+            const invalid = error instanceof URIError
+            response.writeHead(invalid ? 400 : 404, { 'Content-Type': 'text/plain; charset=utf-8' })
+            response.end(`Could not ${invalid ? 'decode' : 'find'} ${url.pathname}`)
+        }
+    })
+    /** @type {(event: string, files: Array<string>) => void} */
+    const send = (event, files) => {
+        const data = JSON.stringify({ files })
+        clients.forEach(client => client.write(`event: ${event}\ndata: ${data}\n\n`))
+    }
+    return {
+        server,
+        reload: files => send('reload', files),
+        update: files => send('update', files),
+        close: () => {
+            // the server only closes once every open event stream was ended
+            clients.forEach(client => client.end())
+            return new Promise((resolve, reject) =>
+                server.close(error => (error ? reject(error) : resolve())),
+            )
+        },
+    }
+}
+
+/**
+ * The client is loaded before all other modules of the page, so that the programs can register
+ * with it once their files are evaluated.
+ *
+ * @param {string} html
+ * @returns {string} with a script tag that loads the client of the dev server
+ */
+function injectClient(html) {
+    const script = `<script type="module" src="${internalPath}/client.mjs"></script>`
+    const index = html.match(/^\s*<!doctype[^>]*>/i)?.[0].length ?? 0
+    return html.slice(0, index) + script + html.slice(index)
+}
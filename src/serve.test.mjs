@@ -0,0 +1,82 @@
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { afterAll, beforeAll, expect, test } from 'vitest'
+import { createDevServer, internalPath } from './serve.mjs'
+
+/** @type {ReturnType<typeof createDevServer>} */
+let devServer
+let origin = ''
+let root = ''
+
+beforeAll(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'split-elm-bundle-serve-'))
+    await fs.writeFile(path.join(root, 'bundle.Main.mjs'), 'export const Main = {}\n')
+    await fs.writeFile(path.join(root, '..bundle.mjs'), 'export {}\n')
+    await fs.writeFile(
+        path.join(root, 'index.html'),
+        '<!DOCTYPE html><html><body><h1>Hi</h1></body></html>\n',
+    )
+    devServer = createDevServer({ root })
+    await new Promise(resolve => devServer.server.listen(0, 'localhost', () => resolve(undefined)))
+    const address = devServer.server.address()
+    if (address === null || typeof address === 'string') throw new Error('Expected a port')
+    origin = `http://localhost:${address.port}`
+})
+
+afterAll(async () => {
+    await devServer.close()
+    await fs.rm(root, { recursive: true })
+})
+
+test('Serve ES modules as JavaScript', async () => {
+    const response = await fetch(`${origin}/bundle.Main.mjs`)
+    expect(response.status).toBe(200)
+    expect(response.headers.get('content-type')).toBe('text/javascript; charset=utf-8')
+    expect(await response.text()).toBe('export const Main = {}\n')
+})
+
+test('Inject the client into HTML pages before all other scripts', async () => {
+    const response = await fetch(`${origin}/`)
+    expect(response.headers.get('content-type')).toBe('text/html; charset=utf-8')
+    expect(await response.text()).toMatchInlineSnapshot(`
+      "<!DOCTYPE html><script type=\\"module\\" src=\\"/__split-elm-bundle/client.mjs\\"></script><html><body><h1>Hi</h1></body></html>
+      "
+    `)
+    const client = await fetch(`${origin}${internalPath}/client.mjs`)
+    expect(client.headers.get('content-type')).toBe('text/javascript; charset=utf-8')
+})
+
+test('Only serve files inside of the root', async () => {
+    expect((await fetch(`${origin}/missing.mjs`)).status).toBe(404)
+    expect((await fetch(`${origin}/..%2Fpasswd`)).status).toBe(403)
+    expect((await fetch(`${origin}/..%2F`)).status).toBe(403)
+    // a name that only starts with `..` is inside of the root
+    expect((await fetch(`${origin}/..bundle.mjs`)).status).toBe(200)
+})
+
+test('Reject paths that cannot be decoded', async () => {
+    const response = await fetch(`${origin}/%E0%A4%A`)
+    expect(response.status).toBe(400)
+    expect(await response.text()).toBe('Could not decode /%E0%A4%A')
+    // the server keeps running
+    expect((await fetch(`${origin}/bundle.Main.mjs`)).status).toBe(200)
+})
+
+test('Send reload and update events to the open pages', async () => {
+    const response = await fetch(`${origin}${internalPath}/events`)
+    expect(response.headers.get('content-type')).toBe('text/event-stream')
+    if (!response.body) throw new Error('Expected an event stream')
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+    expect((await reader.read()).value).toBe(': connected\n\n')
+
+    devServer.reload(['/bundle.Main.mjs'])
+    expect((await reader.read()).value).toBe(
+        'event: reload\ndata: {"files":["/bundle.Main.mjs"]}\n\n',
+    )
+    devServer.update(['/bundle.Main.mjs'])
+    expect((await reader.read()).value).toBe(
+        'event: update\ndata: {"files":["/bundle.Main.mjs"]}\n\n',
+    )
+    await reader.cancel()
+})
@@ -1,9 +1,16 @@
 import fs from 'node:fs/promises'
 import path from 'node:path'
+import { importSpecifier, withHash } from './file-names.mjs'
 import { jsParser } from './js-parser.mjs'
-import { getDeclarationsAndDependencies, getDependenciesOf } from './dependency-graph.mjs'
-import { convert, exportsToString, programNodeNames } from './convert-iife.mjs'
-import { writeFileAndPrintSizes } from './file-size.mjs'
+import {
+    findTopLevelReferences,
+    getDeclarationsAndDependencies,
+    getDependenciesOf,
+    isShadowed,
+} from './dependency-graph.mjs'
+import { convert, exportName, exportsToString, programNodeNames } from './convert-iife.mjs'
+import { stringSizeGzip, writeFileAndPrintSizes } from './file-size.mjs'
+import { minify } from './minify.mjs'
 
 /**
  * @typedef { import('tree-sitter').SyntaxNode} SyntaxNode
@@ -40,18 +47,29 @@ function byteSize(string) {
 
 /**
  * @param {string} iife compiled Elm js file
+ * @param {boolean} [hmr] see `enableHmr`
  * @returns {string}
  */
-export function convertAndRemoveDeadCode(iife) {
-    const { esm, programNodes } = convert(iife)
+export function convertAndRemoveDeadCode(iife, hmr = false) {
+    const { esm, programNodes } = convert(iife, hmr)
     const map = getDeclarationsAndDependencies(esm)
+    return removeDeadCode(esm, map, programNodes, hmr)
+}
 
+/**
+ * @param {string} esm
+ * @param {import('./dependency-graph.mjs').Dependencies} map
+ * @param {Array<ProgramNode>} programNodes to export, other programs are removed
+ * @param {boolean} [hmr] if the programs are registered with the HMR client
+ * @returns {string}
+ */
+function removeDeadCode(esm, map, programNodes, hmr = false) {
     const deps = new Set()
-    programNodes.forEach(n => getDependenciesOf(n.name, map).forEach(deps.add, deps))
+    programNodes.forEach(n => getDependenciesOf(exportName(n.name), map).forEach(deps.add, deps))
 
     let strings = dependenciesToChunks(deps, map.declarations, map.unnamed).map(chunkToString(esm))
 
-    strings.push(exportsToString(programNodes))
+    strings.push(exportsToString(programNodes, [], hmr))
 
     return strings.join('\n') + '\n'
 }
@@ -115,81 +133,1298 @@ replacements.set(
 
 /**
  * Splits the `esm` code into one file per Elm program.
- * Each imports the shared code from `${basename}.shared.mjs` and exports only one Elm program.
+ * Each imports the shared code from the file of the chunk `shared` and exports only one Elm program.
  *
  * The global code that creates side effects is also copied into the shared file.
  *
- * @param {{
+ * With `chunks.groups`, the shared code that is only used by the programs of one group is
+ * written into the file of the chunk `${group}` instead.
+ * With `chunks.pin`, declarations are moved into the shared file or the chunk of a group.
+ * With `duplicateBelow`, shared declarations whose code (including their dependencies) is smaller
+ * than this many bytes are copied into every program file that needs them.
+ * With `lockFile`, declarations stay in the file they were placed in by the previous build,
+ * as long as that is still possible. The new placement is then written into the `lockFile`.
+ *
+ * @param {SplitParams & {
+ *  chunks?: import('./types/public.js').ChunkConfig,
+ *  duplicateBelow?: number,
+ *  lockFile?: string,
+ * }} param
+ * @returns {Promise<import('./types/public.js').ManyProgramsWithSingleShared>}
+ */
+export async function splitWith1stMode(param) {
+    const {
+        input,
+        outDir,
+        fileNames,
+        programNodes,
+        esm,
+        effects,
+        chunks = {},
+        duplicateBelow,
+        lockFile,
+    } = param
+    const map = getDeclarationsAndDependencies(esm)
+    const pinned = resolveChunkConfig(chunks, programNodeNames(programNodes), map)
+    const alwaysShare = [...elementsToAlwaysShare, ...(pinned.get('shared') ?? [])]
+    const { programs, shared, alwaysShared } = partitionForSplitMode1(
+        map,
+        programNodes,
+        alwaysShare,
+    )
+    const lock = lockFile ? await readChunkLock(lockFile) : undefined
+    const groupNames = Object.keys(chunks.groups ?? {})
+    applyChunkLock(lock, { programs, shared, alwaysShared }, groupNames, map)
+    const groups = moveIntoGroups(
+        { programs, shared, alwaysShared },
+        chunks.groups ?? {},
+        pinned,
+        map,
+        keptShared(lock, shared, map),
+    )
+    const duplicated =
+        duplicateBelow === undefined
+            ? new Set()
+            : findTinyShared({ shared, alwaysShared }, duplicateBelow, esm, map, lock)
+    duplicated.forEach(name => shared.delete(name))
+
+    /** @type {Array<OutputModule>} */
+    const modules = [
+        { file: fileNames.chunk('shared'), declarations: shared, unnamed: true, programs: [] },
+        ...groups.map(group => ({
+            file: fileNames.chunk(group.name),
+            declarations: group.declarations,
+            programs: [],
+        })),
+        ...programs.map(program => ({
+            file: fileNames.program(program.name),
+            declarations: program.needs,
+            programs: [program],
+        })),
+    ]
+    /** @type {import('./types/public.js').ChunkLock} */
+    const nextLock = {
+        version: 1,
+        chunks: Object.fromEntries(
+            [
+                ...Array.from(shared, name => [name, 'shared']),
+                ...Array.from(duplicated, name => [name, 'shared']),
+                ...groups.flatMap(({ name, declarations }) =>
+                    Array.from(declarations, declaration => [declaration, name]),
+                ),
+                ...programs.flatMap(({ name, needs }) => Array.from(needs, need => [need, name])),
+            ].sort(([a], [b]) => (a < b ? -1 : 1)),
+        ),
+        duplicated: Array.from(duplicated).sort(),
+    }
+    // the shared file and the chunks of groups also get a copy if they need it
+    if (duplicated.size > 0) {
+        modules.forEach(module => insertDuplicates(module, duplicated, map))
+    }
+    const [sharedFile, ...outputs] = await writeModules(param, map, modules)
+    if (lockFile) {
+        const json = JSON.stringify(nextLock, undefined, 2) + '\n'
+        await writeFileAndPrintSizes(lockFile, json, effects)
+    }
+
+    return {
+        result: 'split-programs-one-shared',
+        input,
+        programs: programNodeNames(programNodes),
+        output: {
+            shared: sharedFile,
+            programs: outputs.slice(groups.length),
+            ...(chunks.groups
+                ? {
+                      groups: groups.map(({ name, programs, declarations }, index) => ({
+                          ...outputs[index],
+                          group: name,
+                          programs,
+                          declarations: Array.from(declarations),
+                      })),
+                  }
+                : {}),
+            ...(duplicateBelow === undefined ? {} : { duplicated: Array.from(duplicated) }),
+        },
+    }
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<import('./types/public.js').ChunkLock|undefined>} `undefined` if there is no such file yet
+ */
+async function readChunkLock(file) {
+    const content = await fs.readFile(file, 'utf-8').catch(error => {
+        if (error.code === 'ENOENT') return undefined
+        throw error
+    })
+    if (content === undefined) return undefined
+    const lock = JSON.parse(content)
+    const isValid =
+        typeof lock === 'object' &&
+        lock !== null &&
+        lock.version === 1 &&
+        typeof lock.chunks === 'object' &&
+        lock.chunks !== null &&
+        Object.values(lock.chunks).every(chunk => typeof chunk === 'string') &&
+        (lock.duplicated === undefined ||
+            (Array.isArray(lock.duplicated) &&
+                lock.duplicated.every((/** @type {unknown} */ name) => typeof name === 'string')))
+    if (!isValid) {
+        throw new Error(`Expected \`${file}\` to be a lock file written by split-elm-bundle`)
+    }
+    return lock
+}
+
+/**
+ * Moves declarations back into the file that the `lock` of a previous build placed them in.
+ * A declaration that was shared or in the chunk of a group stays shared, even if only one
+ * program needs it now, so that `moveIntoGroups` can put it back into its group.
+ * A declaration that was only in the file of one program moves back there, if still only this
+ * program needs it. New declarations and all others keep their new place.
+ *
+ * @param {import('./types/public.js').ChunkLock|undefined} lock
+ * @param {{ programs: Array<SplitMode1Program>, shared: Set<string>, alwaysShared: Set<string> }} data is mutated
+ * @param {Array<string>} groupNames
+ * @param {import('./dependency-graph.mjs').Dependencies} map
+ * @returns {void}
+ */
+function applyChunkLock(lock, { programs, shared, alwaysShared }, groupNames, map) {
+    if (!lock) return
+    const unnamedNeeds = new Set(map.unnamed.flatMap(({ needs }) => needs))
+    /** @type {(name: string) => void} */
+    const share = name => {
+        for (const program of programs) {
+            if (program.needs.delete(name)) program.shared.add(name)
+        }
+        shared.add(name)
+    }
+
+    for (const [name, chunk] of Object.entries(lock.chunks)) {
+        if (chunk === 'shared' || groupNames.includes(chunk)) {
+            if (programs.some(program => program.needs.has(name))) share(name)
+            continue
+        }
+        const users = programs.filter(program => program.shared.has(name))
+        if (
+            shared.has(name) &&
+            !alwaysShared.has(name) &&
+            !unnamedNeeds.has(name) &&
+            users.length === 1 &&
+            users[0].name === chunk
+        ) {
+            shared.delete(name)
+            users[0].shared.delete(name)
+            users[0].needs.add(name)
+        }
+    }
+
+    // a shared declaration must not need code from the file of a program
+    const queue = Array.from(shared)
+    for (let name = queue.pop(); name !== undefined; name = queue.pop()) {
+        for (const need of map.declarations.get(name)?.needs ?? []) {
+            if (!shared.has(need)) {
+                share(need)
+                queue.push(need)
+            }
+        }
+    }
+}
+
+/**
+ * @param {import('./types/public.js').ChunkLock|undefined} lock
+ * @param {Set<string>} shared
+ * @param {import('./dependency-graph.mjs').Dependencies} map
+ * @returns {Set<string>} the shared declarations that the `lock` keeps in the shared file,
+ *  together with their dependencies, because the shared file cannot import from a group
+ */
+function keptShared(lock, shared, map) {
+    const kept = new Set(
+        Object.entries(lock?.chunks ?? {})
+            .filter(([name, chunk]) => chunk === 'shared' && shared.has(name))
+            .map(([name]) => name),
+    )
+    for (const name of kept) {
+        for (const need of map.declarations.get(name)?.needs ?? []) {
+            if (shared.has(need)) kept.add(need)
+        }
+    }
+    return kept
+}
+
+/**
+ * Finds the shared declarations that are cheaper to copy into every program than to import.
+ * A declaration is only copied together with all of its dependencies, and only if none of them
+ * can hold state.
+ * With a `lock`, the declarations of the previous build are copied again as long as they cannot
+ * hold state, and the others are not, whatever their size is now.
+ *
+ * @param {{ shared: Set<string>, alwaysShared: Set<string> }} data
+ * @param {number} bytes the code of a declaration and its dependencies must be smaller than this
+ * @param {string} esm
+ * @param {import('./dependency-graph.mjs').Dependencies} map
+ * @param {import('./types/public.js').ChunkLock} [lock]
+ * @returns {Set<string>}
+ */
+function findTinyShared({ shared, alwaysShared }, bytes, esm, map, lock) {
+    /** @type {(name: string) => Array<string>} */
+    const directNeeds = name => map.declarations.get(name)?.needs ?? []
+    /** @type {(name: string) => number} */
+    const sizeOf = name => {
+        const declaration = map.declarations.get(name)
+        return declaration ? byteSize(esm.slice(declaration.startIndex, declaration.endIndex)) : 0
+    }
+    /** @type {(name: string) => boolean} */
+    const isStateless = name => {
+        if (alwaysShared.has(name)) return false
+        // compiled Elm code is immutable, but kernel code may keep state in global variables
+        if (name.startsWith('$')) return true
+        const declaration = map.declarations.get(name)
+        const code = declaration ? esm.slice(declaration.startIndex, declaration.endIndex) : ''
+        return /^(function |var \S+ = (F\d\()?function\b)/.test(code)
+    }
+
+    const wasPlaced = new Set(Object.keys(lock?.chunks ?? {}))
+    const wasDuplicated = new Set(lock?.duplicated ?? [])
+    const result = new Set()
+    for (const name of shared) {
+        const closure = new Set([name])
+        for (const n of closure) directNeeds(n).forEach(need => closure.add(need))
+        const all = Array.from(closure)
+        const isTiny = wasPlaced.has(name)
+            ? wasDuplicated.has(name)
+            : all.reduce((sum, n) => sum + sizeOf(n), 0) < bytes
+        if (isTiny && all.every(isStateless)) {
+            all.forEach(n => result.add(n))
+        }
+    }
+
+    return result
+}
+
+/**
+ * Checks that all groups only contain programs of the bundle, and that all pinned declarations
+ * exist in the bundle. A pinned name that ends with `*` matches all declarations with that prefix.
+ *
+ * @param {import('./types/public.js').ChunkConfig} chunks
+ * @param {Array<string>} names of all programs in the bundle
+ * @param {import('./dependency-graph.mjs').Dependencies} map
+ * @returns {Map<string, Array<string>>} the declarations pinned to each chunk
+ */
+function resolveChunkConfig({ groups = {}, pin = {} }, names, map) {
+    /** @type {Map<string, string>} */
+    const groupOfProgram = new Map()
+    for (const [group, programs] of Object.entries(groups)) {
+        if (!/^[A-Za-z0-9_-]+$/.test(group)) {
+            throw new Error(`The group name '${group}' may only contain letters, digits, _ and -`)
+        }
+        if (group === 'shared' || names.includes(group)) {
+            throw new Error(`The group name '${group}' is already used for another file`)
+        }
+        for (const program of programs) {
+            if (!names.includes(program)) {
+                throw new Error(
+                    `The group '${group}' contains the program '${program}' that is not part of the bundle, ` +
+                        `pick one of these instead: ${names.join(', ')}`,
+                )
+            }
+            const other = groupOfProgram.get(program)
+            if (other) {
+                throw new Error(
+                    `The program '${program}' is part of the groups '${other}' and '${group}'`,
+                )
+            }
+            groupOfProgram.set(program, group)
+        }
+    }
+
+    /** @type {Map<string, Array<string>>} */
+    const pinned = new Map()
+    const declarations = Array.from(map.declarations.keys())
+    for (const [chunk, patterns] of Object.entries(pin)) {
+        if (chunk !== 'shared' && !(chunk in groups)) {
+            throw new Error(
+                `Cannot pin declarations to '${chunk}', ` +
+                    `pick one of these instead: ${['shared', ...Object.keys(groups)].join(', ')}`,
+            )
+        }
+        const matches = patterns.flatMap(pattern => {
+            const found = pattern.endsWith('*')
+                ? declarations.filter(name => name.startsWith(pattern.slice(0, -1)))
+                : declarations.filter(name => name === pattern)
+            if (found.length === 0) {
+                throw new Error(
+                    `Cannot pin '${pattern}' to '${chunk}' because it is not declared in the bundle`,
+                )
+            }
+            return found
+        })
+        pinned.set(chunk, matches)
+    }
+    return pinned
+}
+
+/**
+ * Moves the shared code that is only used by the programs of one group into the chunk of that
+ * group, and the declarations that were pinned to a group together with their dependencies.
+ *
+ * @param {{ programs: Array<SplitMode1Program>, shared: Set<string>, alwaysShared: Set<string> }} data is mutated
+ * @param {Record<string, ReadonlyArray<string>>} groups
+ * @param {Map<string, Array<string>>} pinned
+ * @param {import('./dependency-graph.mjs').Dependencies} map
+ * @param {Set<string>} [kept] shared declarations that only move if they are pinned
+ * @returns {Array<{ name: string, programs: ReadonlyArray<string>, declarations: Set<string> }>}
+ */
+function moveIntoGroups({ programs, shared, alwaysShared }, groups, pinned, map, kept = new Set()) {
+    const chunks = Object.entries(groups).map(([name, members]) => ({
+        name,
+        programs: members,
+        declarations: /** @type {Set<string>} */ (new Set()),
+    }))
+    const unnamedNeeds = new Set(map.unnamed.flatMap(({ needs }) => needs))
+
+    for (const name of shared) {
+        if (alwaysShared.has(name) || kept.has(name)) continue
+        const users = programs.filter(program => program.shared.has(name))
+        const chunk = chunks.find(chunk => users.every(user => chunk.programs.includes(user.name)))
+        if (chunk) {
+            chunk.declarations.add(name)
+            shared.delete(name)
+        }
+    }
+
+    for (const chunk of chunks) {
+        const queue = [...(pinned.get(chunk.name) ?? [])]
+        const pinnedNames = new Set(queue)
+        while (queue.length > 0) {
+            const name = /** @type {string} */ (queue.pop())
+            if (chunk.declarations.has(name)) continue
+            // dependencies can stay in the shared file, because every chunk imports from it
+            if (shared.has(name) && !pinnedNames.has(name)) continue
+            const dependent = [shared, ...chunks.filter(c => c !== chunk).map(c => c.declarations)]
+                .flatMap(declarations => Array.from(declarations))
+                .find(other => map.declarations.get(other)?.needs.includes(name))
+            if (dependent || (shared.has(name) && unnamedNeeds.has(name))) {
+                throw new Error(
+                    `Cannot pin '${name}' to '${chunk.name}' because '${dependent ?? 'global code'}' needs it`,
+                )
+            }
+            shared.delete(name)
+            const other = chunks.find(c => c !== chunk && c.declarations.has(name))
+            if (other && !pinnedNames.has(name)) {
+                throw new Error(
+                    `Cannot pin declarations to '${chunk.name}' because they need '${name}' of '${other.name}'`,
+                )
+            }
+            other?.declarations.delete(name)
+            programs.forEach(program => program.needs.delete(name))
+            chunk.declarations.add(name)
+            queue.push(...(map.declarations.get(name)?.needs ?? []))
+        }
+    }
+    return chunks
+}
+
+/**
+ * Splits the `esm` code into one entry module `fileNames.entry()` and one file per Elm program.
+ * The entry module contains the shared code and exports every Elm program with an async `init`
+ * function, which first imports the program file and then initializes the program.
+ * Each program file imports the shared code from the entry module.
+ *
+ * The global code that creates side effects is also copied into the entry module.
+ *
+ * If the entry module has a `[hash]` in its name, its name depends on the names of the program
+ * files, so the programs cannot import it. Then the shared code is written to the chunk `shared`
+ * instead, which the entry module does not import.
+ *
+ * @param {SplitParams} param
+ * @returns {Promise<import('./types/public.js').LazyPrograms>}
+ */
+export async function splitWith2ndMode(param) {
+    const { input, fileNames, programNodes, esm } = param
+    const map = getDeclarationsAndDependencies(esm)
+    const { programs, shared } = partitionForSplitMode1(map, programNodes)
+
+    const programModules = programs.map(program => ({
+        file: fileNames.program(program.name),
+        declarations: program.needs,
+        programs: [program],
+    }))
+    const file = fileNames.entry()
+    /** @type {OutputModule} */
+    const entry = {
+        file,
+        declarations: shared,
+        unnamed: true,
+        programs: [],
+        lazyPrograms: programModules,
+    }
+    if (!file.includes('[hash]')) {
+        const [entryFile, ...files] = await writeModules(param, map, [entry, ...programModules])
+        return {
+            result: 'split-programs-lazy',
+            input,
+            programs: programNodeNames(programNodes),
+            output: {
+                entry: entryFile,
+                programs: files,
+            },
+        }
+    }
+
+    /** @type {OutputModule} */
+    const sharedModule = { ...entry, file: fileNames.chunk('shared'), lazyPrograms: undefined }
+    const [entryFile, sharedFile, ...files] = await writeModules(param, map, [
+        { ...entry, declarations: new Set(), unnamed: false },
+        sharedModule,
+        ...programModules,
+    ])
+    return {
+        result: 'split-programs-lazy',
+        input,
+        programs: programNodeNames(programNodes),
+        output: {
+            entry: entryFile,
+            shared: sharedFile,
+            programs: files,
+        },
+    }
+}
+
+/**
+ * Splits the `esm` code into one file per Elm program and one shared file, like `splitWith1stMode`.
+ * But the file of the `primary` program also exports every other Elm program with an async `init`
+ * function, which first imports the other program file and then initializes the program.
+ *
+ * @param {SplitParams & { primary: string }} param
+ * @returns {Promise<import('./types/public.js').PrimaryProgram>}
+ */
+export async function splitWith3rdMode(param) {
+    const { input, fileNames, programNodes, esm, primary } = param
+    const names = programNodeNames(programNodes)
+    if (!names.includes(primary)) {
+        throw new Error(
+            `The primary program '${primary}' is not part of the bundle, ` +
+                `pick one of these instead: ${names.join(', ')}`,
+        )
+    }
+    const map = getDeclarationsAndDependencies(esm)
+    const { programs, shared } = partitionForSplitMode1(map, programNodes)
+
+    /** @type {Array<OutputModule>} */
+    const programModules = programs.map(program => ({
+        file: fileNames.program(program.name),
+        declarations: program.needs,
+        programs: [program],
+    }))
+    const primaryModule = programModules.find(module => module.programs[0].name === primary)
+    if (!primaryModule) throw new Error(`Could not find the module for '${primary}'`)
+    primaryModule.lazyPrograms = programModules.filter(module => module !== primaryModule)
+
+    /** @type {OutputModule} */
+    const sharedModule = {
+        file: fileNames.chunk('shared'),
+        declarations: shared,
+        unnamed: true,
+        programs: [],
+    }
+    const [sharedFile, ...outputs] = await writeModules(param, map, [
+        sharedModule,
+        ...programModules,
+    ])
+
+    return {
+        result: 'split-programs-primary',
+        input,
+        programs: names,
+        primary,
+        output: {
+            shared: sharedFile,
+            primary: outputs[programModules.indexOf(primaryModule)],
+            programs: outputs,
+        },
+    }
+}
+
+/**
+ * Splits the `esm` code into one file per Elm program and multiple shared chunks.
+ * Every declaration is placed into the chunk of the exact set of programs that need it,
+ * so each program only imports the chunks that it needs.
+ *
+ * If `minChunkSize` is given, smaller chunks are either merged into the chunk of the closest
+ * superset of programs, or duplicated into every module that uses them.
+ *
+ * If `pages` is given, the shared declarations are grouped by the exact set of pages that load
+ * them instead, so every page loads as few chunks as possible without loading unused code.
+ *
+ * The global code that creates side effects is copied into the chunk that all programs import.
+ *
+ * @param {SplitParams & {
+ *  minChunkSize?: import('./types/public.js').MinChunkSize,
+ *  pages?: import('./types/public.js').Pages
+ * }} param
+ * @returns {Promise<import('./types/public.js').GranularChunks>}
+ */
+export async function splitWithGranularChunks(param) {
+    const { input, fileNames, programNodes, esm, minChunkSize, pages } = param
+    const map = getDeclarationsAndDependencies(esm)
+    const programs = programNodes.map(n => ({
+        ...n,
+        needs: getDependenciesOf(exportName(n.name), map),
+    }))
+    const alwaysShared = alwaysSharedClosure(programs, map)
+    const pagesOf = pages ? pagesOfPrograms(pages, programNodeNames(programNodes)) : undefined
+
+    /** @type {Set<string>} */
+    const duplicated = new Set()
+    /** @type {Array<import('./types/public.js').SmallChunk>} */
+    const smallChunks = []
+    let groups = groupByPrograms(programs, alwaysShared, new Set(), pagesOf)
+    if (minChunkSize) {
+        /** @type {(group: ProgramGroup) => Promise<import('./file-size.mjs').Sizes>} */
+        const sizeOf = group =>
+            stringSizeGzip(
+                dependenciesToChunks(group.declarations, map.declarations, [])
+                    .map(chunkToString(esm))
+                    .join('\n'),
+            )
+        for (;;) {
+            const small = await findSmallestChunk(groups, programs.length, minChunkSize, sizeOf)
+            if (!small) break
+
+            if (minChunkSize.strategy === 'duplicate') {
+                small.group.declarations.forEach(duplicated.add, duplicated)
+                smallChunks.push({
+                    action: 'duplicate',
+                    programs: small.group.programs,
+                    sizes: small.sizes,
+                })
+            } else {
+                const into = closestSuperset(small.group, groups, programs, pagesOf)
+                // pretend that every program of the superset also needs the small chunk
+                const needs = new Set(small.group.declarations)
+                small.group.declarations.forEach(name =>
+                    getDependenciesOf(name, map).forEach(needs.add, needs),
+                )
+                for (const program of programs) {
+                    if (into.includes(program.name)) needs.forEach(program.needs.add, program.needs)
+                }
+                smallChunks.push({
+                    action: 'merge',
+                    programs: small.group.programs,
+                    into,
+                    sizes: small.sizes,
+                })
+            }
+            groups = groupByPrograms(programs, alwaysShared, duplicated, pagesOf)
+        }
+    }
+    const chunks = groups.filter(group => group.programs.length > 1)
+
+    /** @type {Array<OutputModule>} */
+    const chunkModules = chunks.map((group, index) => ({
+        file: fileNames.chunk(index === 0 ? 'shared' : `shared-${index}`),
+        declarations: group.declarations,
+        unnamed: group.programs.length === programs.length,
+        programs: [],
+    }))
+    /** @type {Array<OutputModule>} */
+    const programModules = programs.map(program => ({
+        file: fileNames.program(program.name),
+        declarations:
+            groups.find(g => g.programs.length === 1 && g.programs[0] === program.name)
+                ?.declarations ?? new Set(),
+        programs: [program],
+    }))
+    const modules = [...chunkModules, ...programModules]
+    if (duplicated.size > 0) {
+        modules.forEach(module => insertDuplicates(module, duplicated, map))
+    }
+
+    const outputs = await writeModules(param, map, modules)
+
+    return {
+        result: 'split-programs-granular',
+        input,
+        programs: programNodeNames(programNodes),
+        output: {
+            chunks: chunks.map((group, index) => ({ ...outputs[index], programs: group.programs })),
+            programs: outputs.slice(chunks.length),
+            ...(minChunkSize ? { smallChunks } : {}),
+            ...(pages ? { pages: pageTotals(pages, modules, outputs) } : {}),
+        },
+    }
+}
+
+/**
+ * Checks that every page only lists programs of the bundle.
+ * Programs that are not listed on any page are treated as if they were alone on a page.
+ *
+ * @param {import('./types/public.js').Pages} pages
+ * @param {Array<string>} names of all programs in the bundle
+ * @returns {(programs: Array<string>) => string} a key for the set of pages that load any of the `programs`
+ */
+function pagesOfPrograms(pages, names) {
+    /** @type {Map<string, Array<string>>} */
+    const pagesOf = new Map(names.map(name => [name, []]))
+    for (const [page, programs] of Object.entries(pages)) {
+        if (programs.length === 0) {
+            throw new Error(`The page '${page}' does not list any program`)
+        }
+        for (const program of programs) {
+            const list = pagesOf.get(program)
+            if (!list) {
+                throw new Error(
+                    `The page '${page}' lists the program '${program}' that is not part of the bundle, ` +
+                        `pick one of these instead: ${names.join(', ')}`,
+                )
+            }
+            list.push(page)
+        }
+    }
+    for (const [program, list] of pagesOf) {
+        // a page of its own that cannot be named like a configured page
+        if (list.length === 0) list.push(`\0${program}`)
+    }
+
+    return programs => {
+        const result = new Set(programs.flatMap(program => pagesOf.get(program) ?? []))
+        return JSON.stringify(Array.from(result).sort())
+    }
+}
+
+/**
+ * Sums up the sizes of all files that each page loads.
+ *
+ * @param {import('./types/public.js').Pages} pages
+ * @param {Array<OutputModule>} modules after `writeModules`
+ * @param {Array<import('./file-size.mjs').FileWithSizes>} outputs in the same order as `modules`
+ * @returns {Array<import('./types/public.js').PageTotal>}
+ */
+function pageTotals(pages, modules, outputs) {
+    return Object.entries(pages).map(([page, programs]) => {
+        /** @type {Set<OutputModule>} */
+        const loaded = new Set()
+        const queue = modules.filter(module =>
+            module.programs.some(program => programs.includes(program.name)),
+        )
+        for (let module = queue.pop(); module; module = queue.pop()) {
+            if (loaded.has(module)) continue
+            loaded.add(module)
+            queue.push(...(module.imports ?? []))
+        }
+        const files = modules.flatMap((module, index) =>
+            loaded.has(module) ? [outputs[index]] : [],
+        )
+        const sizes = files.reduce(
+            (sum, { sizes }) => ({ raw: sum.raw + sizes.raw, gzip: sum.gzip + sizes.gzip }),
+            { raw: 0, gzip: 0 },
+        )
+        return { page, programs, files: files.map(({ file }) => file), sizes }
+    })
+}
+
+/**
+ * Finds the smallest chunk below `minChunkSize`.
+ * The chunk of all programs is never too small, because every other chunk depends on it.
+ *
+ * @param {Array<ProgramGroup>} groups
+ * @param {number} programCount
+ * @param {import('./types/public.js').MinChunkSize} minChunkSize
+ * @param {(group: ProgramGroup) => Promise<import('./file-size.mjs').Sizes>} sizeOf
+ * @returns {Promise<{ group: ProgramGroup, sizes: import('./file-size.mjs').Sizes } | undefined>}
+ */
+async function findSmallestChunk(groups, programCount, minChunkSize, sizeOf) {
+    const { bytes, metric } = minChunkSize
+    let smallest = undefined
+    for (const group of groups) {
+        if (group.programs.length < 2 || group.programs.length === programCount) continue
+        const sizes = await sizeOf(group)
+        if (sizes[metric] < bytes && (!smallest || sizes[metric] < smallest.sizes[metric])) {
+            smallest = { group, sizes }
+        }
+    }
+    return smallest
+}
+
+/**
+ * Without `pagesOf`, the closest superset is the one with the fewest programs.
+ * With `pagesOf`, it is the one that is loaded on the fewest pages.
+ *
+ * @param {ProgramGroup} group
+ * @param {Array<ProgramGroup>} groups
+ * @param {Array<{ name: string }>} programs
+ * @param {(programs: Array<string>) => string} [pagesOf]
+ * @returns {Array<string>} the closest set of programs that contains all programs of `group`
+ */
+function closestSuperset(group, groups, programs, pagesOf) {
+    const supersets = groups.filter(
+        other =>
+            other.programs.length > group.programs.length &&
+            group.programs.every(name => other.programs.includes(name)),
+    )
+    if (supersets.length === 0) return programs.map(program => program.name)
+    /** @type {(group: ProgramGroup) => number} */
+    const cost = pagesOf
+        ? other => JSON.parse(pagesOf(other.programs)).length
+        : other => other.programs.length
+    return supersets.reduce((a, b) => (cost(b) < cost(a) ? b : a)).programs
+}
+
+/**
+ * Adds every `duplicated` declaration that the module needs to its declarations.
+ *
+ * @param {OutputModule} module is mutated
+ * @param {Set<string>} duplicated
+ * @param {import('./dependency-graph.mjs').Dependencies} map
+ */
+function insertDuplicates(module, duplicated, map) {
+    /** @type {(name: string) => Array<string>} */
+    const directNeeds = name => map.declarations.get(name)?.needs ?? []
+    const queue = [...module.declarations, ...programNodeNames(module.programs)].flatMap(
+        directNeeds,
+    )
+    if (module.unnamed) queue.push(...map.unnamed.flatMap(({ needs }) => needs))
+    for (let name = queue.pop(); name !== undefined; name = queue.pop()) {
+        if (duplicated.has(name) && !module.declarations.has(name)) {
+            module.declarations.add(name)
+            queue.push(...directNeeds(name))
+        }
+    }
+}
+
+/**
+ * Splits the `esm` code into one file per Elm program and one shared file per layer, like
+ * `splitWith1stMode` but with the shared code split up by how often it changes:
+ * - `runtime` contains the kernel code, which only changes with the Elm compiler
+ * - `packages` contains the code of Elm packages, which only changes with `elm.json`
+ * - `app` contains the shared code of the project itself
+ *
+ * The global code that creates side effects is copied into the highest layer that it needs.
+ *
+ * @param {SplitParams} param
+ * @returns {Promise<import('./types/public.js').LayeredShared>}
+ */
+export async function splitWithLayers(param) {
+    const { input, fileNames, programNodes, esm } = param
+    const map = getDeclarationsAndDependencies(esm)
+    const { programs, shared } = partitionForSplitMode1(map, programNodes)
+    const layerOfDeclaration = assignLayers(shared, map)
+    const unnamedNeeds = map.unnamed.flatMap(({ needs }) => needs)
+    const unnamedLayer =
+        layers[
+            Math.max(
+                0,
+                ...unnamedNeeds.map(need =>
+                    layers.indexOf(layerOfDeclaration.get(need) ?? 'runtime'),
+                ),
+            )
+        ]
+
+    const layerModules = layers
+        .map(layer => ({
+            layer,
+            file: fileNames.chunk(`shared.${layer}`),
+            declarations: new Set(
+                Array.from(shared).filter(n => layerOfDeclaration.get(n) === layer),
+            ),
+            unnamed: layer === unnamedLayer && map.unnamed.length > 0,
+            programs: [],
+        }))
+        .filter(module => module.declarations.size > 0 || module.unnamed)
+    /** @type {Array<OutputModule>} */
+    const programModules = programs.map(program => ({
+        file: fileNames.program(program.name),
+        declarations: program.needs,
+        programs: [program],
+    }))
+
+    const outputs = await writeModules(param, map, [...layerModules, ...programModules])
+
+    return {
+        result: 'split-programs-layered',
+        input,
+        programs: programNodeNames(programNodes),
+        output: {
+            layers: layerModules.map(({ layer, declarations }, index) => ({
+                ...outputs[index],
+                layer,
+                declarations: Array.from(declarations),
+            })),
+            programs: outputs.slice(layerModules.length),
+        },
+    }
+}
+
+/** @type {Array<import('./types/public.js').Layer>} */
+const layers = ['runtime', 'packages', 'app']
+
+/**
+ * Puts every declaration into the layer that its name suggests, or into a lower one if a
+ * declaration of a lower layer needs it. So a layer only ever imports from lower layers.
+ *
+ * @param {Set<string>} declarations
+ * @param {import('./dependency-graph.mjs').Dependencies} map
+ * @returns {Map<string, import('./types/public.js').Layer>}
+ */
+export function assignLayers(declarations, map) {
+    /** @type {Map<string, import('./types/public.js').Layer>} */
+    const result = new Map()
+    for (const layer of layers) {
+        const queue = Array.from(declarations).filter(name => layerOfName(name) === layer)
+        for (let name = queue.pop(); name !== undefined; name = queue.pop()) {
+            if (result.has(name) || !declarations.has(name)) continue
+            result.set(name, layer)
+            queue.push(...(map.declarations.get(name)?.needs ?? []))
+        }
+    }
+    return result
+}
+
+/**
+ * @param {string} name of a top-level declaration
+ * @returns {import('./types/public.js').Layer}
+ */
+function layerOfName(name) {
+    if (name.startsWith('$author$project$')) return 'app'
+    // e.g. `$elm$core$List$map` or `$elm$browser$Browser$element`
+    if (name.startsWith('$')) return 'packages'
+    // kernel code like `_Platform_initialize` and helpers like `F2` or `A2`
+    return 'runtime'
+}
+
+/**
+ * Writes one self-contained file per Elm program, which contains all code that the program
+ * needs and nothing else. So there is no shared file, but code is duplicated in every file.
+ *
+ * @param {SplitParams} param
+ * @returns {Promise<import('./types/public.js').StandalonePrograms>}
+ */
+export async function splitIntoStandalonePrograms(param) {
+    const { input, outDir, basename, fileNames, manifest, hmr, programNodes, esm, effects } = param
+    const map = getDeclarationsAndDependencies(esm)
+
+    const files = programNodes.map(program => {
+        if (effects.printLogs) {
+            console.log('Extracting', program.name)
+        }
+        const unminified = removeDeadCode(esm, map, [program], hmr)
+        const code = param.minify ? minify(unminified) : unminified
+        const file = withHash(fileNames.program(program.name), code)
+        return { name: program.name, file, imports: [], code, unminified }
+    })
+    const outputs = await Promise.all(
+        files.map(({ file, code, unminified }) =>
+            writeFileAndPrintSizes(
+                path.join(outDir, file),
+                code,
+                effects,
+                param.minify ? unminified : undefined,
+            ),
+        ),
+    )
+    if (manifest) {
+        await writeManifest(outDir, basename, files, effects)
+    }
+
+    return {
+        result: 'split-programs-standalone',
+        input,
+        programs: programNodeNames(programNodes),
+        output: { programs: outputs },
+    }
+}
+
+/**
+ * @typedef {{
  *  input: import('./file-size.mjs').FileWithSizes,
  *  outDir: string,
  *  basename: string,
+ *  fileNames: import('./file-names.mjs').FileNames,
+ *  manifest?: boolean,
+ *  hmr?: boolean,
+ *  imports?: 'namespace' | 'named',
+ *  mangle?: boolean,
+ *  minify?: boolean,
  *  programNodes: Array<ProgramNode>,
  *  esm: string
  *  effects: import('./types/public.js').SideEffects
- * }} param
- * @returns {Promise<import('./types/public.js').ManyProgramsWithSingleShared>}
+ * }} SplitParams
  */
-export async function splitWith1stMode({ input, outDir, basename, programNodes, esm, effects }) {
-    const files = []
-    const map = getDeclarationsAndDependencies(esm)
 
+/**
+ * Collects the dependencies of every program and moves the common ones into `shared`.
+ *
+ * @param {import('./dependency-graph.mjs').Dependencies} map
+ * @param {Array<ProgramNode>} programNodes
+ * @param {ReadonlyArray<string>} alwaysShare are shared together with their dependencies if any program needs them
+ * @returns {{ programs: Array<SplitMode1Program>, shared: Set<string>, alwaysShared: Set<string> }}
+ */
+function partitionForSplitMode1(map, programNodes, alwaysShare = elementsToAlwaysShare) {
     const programs = programNodes.map(n => ({
         name: n.name,
         init: n.init,
-        needs: getDependenciesOf(n.name, map),
+        needs: getDependenciesOf(exportName(n.name), map),
         // keeping track of the shared dependencies so I can replace them later
         shared: new Set(),
     }))
     const shared = new Set(map.unnamed.flatMap(({ needs }) => needs))
+    const alwaysShared = alwaysSharedClosure(programs, map, alwaysShare)
+
+    transformStateForSplitMode1({ programs, shared }, alwaysShared)
+    return { programs, shared, alwaysShared }
+}
+
+/**
+ * One output file with the declarations and Elm programs it contains.
+ *
+ * @typedef OutputModule
+ * @prop {string} file name of the file inside the output directory
+ * @prop {Set<string>} declarations top-level declarations placed in this module
+ * @prop {Array<ProgramNode>} programs Elm programs that are exported directly
+ * @prop {Array<OutputModule>} [lazyPrograms] modules whose Elm programs are exported with an async `init`
+ * @prop {boolean} [unnamed] if the unnamed global code (side effects) is inserted into this module
+ * @prop {Set<OutputModule>} [imports] the modules that this module imports, set by `writeModules`
+ */
 
-    transformStateForSplitMode1({ programs, shared })
+/**
+ * Writes every module into `outDir`.
+ * A module that is imported by another one exports all of its declarations,
+ * and a module that uses declarations of another one imports them as a namespace,
+ * or with `imports: 'named'` imports exactly the declarations that it uses by name.
+ * With `mangle`, the declarations are exported with short aliases, see `assignAliases`.
+ * With `minify`, a file is minified before its name gets the hash of its content.
+ *
+ * A `[hash]` in a file name is replaced with the hash of the file content, which includes the
+ * names of the files that it imports. So the files are resolved from the bottom up.
+ *
+ * @param {Pick<SplitParams, 'outDir' | 'basename' | 'esm' | 'effects' | 'manifest' | 'hmr' | 'imports' | 'mangle' | 'minify'>} param
+ * @param {import('./dependency-graph.mjs').Dependencies} map
+ * @param {Array<OutputModule>} modules
+ * @returns {Promise<Array<import('./file-size.mjs').FileWithSizes>>} in the same order as `modules`
+ */
+async function writeModules(
+    {
+        outDir,
+        basename,
+        esm,
+        effects,
+        manifest,
+        hmr,
+        imports = 'namespace',
+        mangle,
+        minify: minified,
+    },
+    map,
+    modules,
+) {
+    const files = modules.map(module => module.file.toLowerCase())
+    const collision = modules.find((module, index) => files.indexOf(files[index]) !== index)
+    if (collision) {
+        throw new Error(`Cannot write two files with the same name '${collision.file}'`)
+    }
+    /** @type {Map<string, OutputModule>} */
+    const owners = new Map()
+    for (const module of modules) {
+        // a duplicated declaration is imported from the first module that has it
+        module.declarations.forEach(name => owners.has(name) || owners.set(name, module))
+    }
+    /** @type {Map<OutputModule, string>} */
+    const namespaces = new Map(modules.map((module, index) => [module, namespaceFor(index)]))
+    const unresolvedFiles = new Map(modules.map(module => [module, module.file]))
+    // sorted like the code, so the content only depends on which declarations are listed
+    /** @type {(names: Iterable<string>) => Array<string>} */
+    const sortedLikeCode = names => {
+        /** @type {(name: string) => number} */
+        const position = name => map.declarations.get(name)?.startIndex ?? 0
+        return Array.from(names).sort((a, b) => position(a) - position(b))
+    }
 
     /** @type {(deps: Set<string>, chunks?: Array<Chunk>) => string } */
     const depsToString = (deps, chunks = []) =>
         dependenciesToChunks(deps, map.declarations, chunks).map(chunkToString(esm)).join('\n') +
         '\n'
 
-    // also inserts the unnamed code
-    let sharedCode = depsToString(shared, map.unnamed)
-    sharedCode += `export { ${Array.from(shared).join(', ')} };\n`
+    const parsed = new Map(
+        modules.map(module => {
+            if (effects.printLogs && module.programs.length > 0) {
+                console.log('Extracting', programNodeNames(module.programs).join(', '))
+            }
+            let code = depsToString(module.declarations, module.unnamed ? map.unnamed : [])
+            if (module.programs.length > 0 || module.lazyPrograms) {
+                // the specifiers of lazy imports are replaced once the file names are resolved
+                const lazyPrograms = module.lazyPrograms?.flatMap(({ file, programs }) =>
+                    programNodeNames(programs).map(name => ({ name, specifier: file })),
+                )
+                code += exportsToString(module.programs, lazyPrograms, hmr) + '\n'
+            }
 
-    const sharedLib = 'shared'
-    const sharedFilename = `${basename}.${sharedLib}.mjs`
-    const dest = path.join(outDir, sharedFilename)
-    const sharedFile = writeFileAndPrintSizes(dest, sharedCode, effects)
+            const identifiers = rewrittenIdentifiers(code, name => {
+                const owner = owners.get(name)
+                return owner && !module.declarations.has(name) ? owner : undefined
+            })
+            module.imports = new Set(identifiers.map(i => i.owner))
+            return [module, { code, identifiers }]
+        }),
+    )
 
-    for (const program of programs) {
-        if (effects.printLogs) {
-            console.log('Extracting', program.name)
-        }
-        let orig = depsToString(program.needs) + exportsToString([program])
+    const imported = new Set(modules.flatMap(module => Array.from(module.imports ?? [])))
+    const aliases = mangle
+        ? assignAliases(
+              sortedLikeCode(
+                  Array.from(imported).flatMap(module => Array.from(module.declarations)),
+              ),
+              map,
+              await readMangleMap(outDir, basename),
+          )
+        : new Map()
+    /** @type {(name: string) => string} */
+    const mangled = name => aliases.get(name) ?? name
+    /** @type {Map<OutputModule, string>} */
+    const contents = new Map()
+    /** @type {Map<OutputModule, string>} the contents before `minify` */
+    const unminified = new Map()
+    /** @type {Set<OutputModule>} */
+    const resolving = new Set()
 
-        const tree = jsParser.parse(orig)
-        const identifiers = tree.rootNode
-            .descendantsOfType('identifier')
-            .filter(node => shared.has(node.text))
+    /** @param {OutputModule} module */
+    const resolve = module => {
+        const { code, identifiers } = parsed.get(module) ?? { code: '', identifiers: [] }
+        resolving.add(module)
+        for (const dependency of [...(module.imports ?? []), ...(module.lazyPrograms ?? [])]) {
+            if (contents.has(dependency) || !dependency.file.includes('[hash]')) continue
+            if (resolving.has(dependency)) {
+                throw new Error(
+                    `Cannot hash the file name '${dependency.file}' because it imports '${module.file}'`,
+                )
+            }
+            resolve(dependency)
+        }
 
-        let code = `import * as ${sharedLib} from './${sharedFilename}';\n`
+        let result = ''
+        for (const owner of module.imports ?? []) {
+            const specifier = importSpecifier(module.file, owner.file)
+            if (imports === 'named') {
+                const names = new Set(
+                    identifiers.flatMap(i => (i.owner === owner ? [i.node.text] : [])),
+                )
+                const list = sortedLikeCode(names).map(mangled).join(', ')
+                result += `import { ${list} } from '${specifier}';\n`
+            } else {
+                result += `import * as ${namespaces.get(owner)} from '${specifier}';\n`
+            }
+        }
         let lastIndex = 0
-        for (const identifier of identifiers) {
-            code += orig.substring(lastIndex, identifier.startIndex) + sharedLib + '.'
-            lastIndex = identifier.startIndex
+        for (const { node, owner } of identifiers) {
+            const name = mangled(node.text)
+            const reference = imports === 'named' ? name : `${namespaces.get(owner)}.${name}`
+            // named imports without aliases keep the code as it is
+            if (reference === node.text) continue
+            result += code.substring(lastIndex, node.startIndex)
+            if (node.type === 'shorthand_property_identifier') result += `${node.text}: `
+            result += reference
+            lastIndex = node.endIndex
+        }
+        result += code.substring(lastIndex)
+        for (const lazy of module.lazyPrograms ?? []) {
+            result = result.replaceAll(
+                `import('${unresolvedFiles.get(lazy)}')`,
+                `import('${importSpecifier(module.file, lazy.file)}')`,
+            )
+        }
+        if (imported.has(module)) {
+            const exported = sortedLikeCode(module.declarations).map(name =>
+                aliases.has(name) ? `${name} as ${aliases.get(name)}` : name,
+            )
+            result += `export { ${exported.join(', ')} };\n`
         }
-        code += orig.substring(lastIndex) + '\n'
+        if (minified) {
+            unminified.set(module, result)
+            result = minify(result)
+        }
+        module.file = withHash(module.file, result)
+        contents.set(module, result)
+        resolving.delete(module)
+    }
+    modules.forEach(module => contents.has(module) || resolve(module))
 
-        const dest = path.join(outDir, `${basename}.${program.name}.mjs`)
-        files.push(writeFileAndPrintSizes(dest, code, effects))
+    const outputs = await Promise.all(
+        modules.map(module =>
+            writeFileAndPrintSizes(
+                path.join(outDir, module.file),
+                contents.get(module) ?? '',
+                effects,
+                unminified.get(module),
+            ),
+        ),
+    )
+    if (manifest) {
+        await writeManifest(
+            outDir,
+            basename,
+            modules.flatMap(module =>
+                programNodeNames(module.programs).map(name => ({
+                    name,
+                    file: module.file,
+                    imports: transitiveImports(module).map(m => m.file),
+                })),
+            ),
+            effects,
+        )
     }
+    if (mangle) {
+        const json = JSON.stringify(
+            Object.fromEntries(Array.from(aliases, ([name, alias]) => [alias, name])),
+            undefined,
+            2,
+        )
+        const file = path.join(outDir, `${basename}.mangle.json`)
+        await writeFileAndPrintSizes(file, json + '\n', effects)
+    }
+    return outputs
+}
 
-    return {
-        result: 'split-programs-one-shared',
-        input,
-        programs: programNodeNames(programNodes),
-        output: {
-            shared: await sharedFile,
-            programs: await Promise.all(files),
-        },
+/**
+ * Finds the references to declarations of other modules, which are rewritten to the namespace that
+ * they are imported as. A parameter or local variable with the same name is not a reference.
+ *
+ * @template T
+ * @param {string} code
+ * @param {(name: string) => T | undefined} ownerOf the other module that declares `name`
+ * @returns {Array<{ node: import('./dependency-graph.mjs').SyntaxNode, owner: T }>} in code order
+ */
+function rewrittenIdentifiers(code, ownerOf) {
+    const references = new Set(findTopLevelReferences(code).map(node => node.startIndex))
+    const cache = new Map()
+    return jsParser
+        .parse(code)
+        .rootNode.descendantsOfType(['identifier', 'shorthand_property_identifier'])
+        .flatMap(node => {
+            const owner = ownerOf(node.text)
+            if (owner === undefined) return []
+            const isReference = references.has(node.startIndex)
+            if (isReference === isShadowed(node, cache)) {
+                const { row, column } = node.startPosition
+                throw new Error(
+                    isReference
+                        ? `Cannot rewrite '${node.text}' at ${row + 1}:${column + 1}, because a local declaration shadows it`
+                        : `Cannot resolve '${node.text}' at ${row + 1}:${column + 1}`,
+                )
+            }
+            return isReference ? [{ node, owner }] : []
+        })
+}
+
+/**
+ * @param {OutputModule} module
+ * @returns {Array<OutputModule>} all modules that are statically imported by `module`
+ */
+function transitiveImports(module) {
+    const result = new Set(module.imports)
+    for (const imported of result) {
+        imported.imports?.forEach(m => result.add(m))
+    }
+    return Array.from(result)
+}
+
+/**
+ * Writes `${basename}.manifest.json` into `outDir`, which lists the file of every program and the
+ * files that it imports. So a server can render the `<script type="module">` and
+ * `<link rel="modulepreload">` tags of a page without knowing the hashed file names.
+ * Every input file gets its own manifest, so that they can share an `outDir`.
+ *
+ * @param {string} outDir
+ * @param {string} basename of the input file
+ * @param {Array<{ name: string, file: string, imports: Array<string> }>} programs
+ * @param {import('./types/public.js').SideEffects} effects
+ * @returns {Promise<import('./file-size.mjs').FileWithSizes>}
+ */
+function writeManifest(outDir, basename, programs, effects) {
+    /** @type {import('./types/public.js').Manifest} */
+    const manifest = Object.fromEntries(
+        programs.map(({ name, file, imports }) => [name, { file, imports }]),
+    )
+    const json = JSON.stringify(manifest, undefined, 2) + '\n'
+    return writeFileAndPrintSizes(path.join(outDir, `${basename}.manifest.json`), json, effects)
+}
+
+/**
+ * Gives every exported declaration a short alias like `$a`, which no Elm declaration or local
+ * variable can have. A declaration keeps the alias of the previous build from its `[basename].mangle.json`,
+ * so the files that only use unchanged declarations keep their content.
+ * The `F`, `F2`..`F9` and `A2`..`A9` helpers keep their names, so that minifiers can still
+ * treat them as pure functions.
+ *
+ * @param {Array<string>} exported
+ * @param {import('./dependency-graph.mjs').Dependencies} map
+ * @param {Record<string, string>} [previous] original name by alias of the previous build
+ * @returns {Map<string, string>} alias by original name
+ */
+function assignAliases(exported, map, previous = {}) {
+    const names = exported.filter(name => !/^[FA][2-9]?$/.test(name))
+    const before = new Map(Object.entries(previous).map(([alias, name]) => [name, alias]))
+    /** @type {Map<string, string>} */
+    const aliases = new Map()
+    for (const name of names) {
+        const alias = before.get(name)
+        if (alias !== undefined) aliases.set(name, alias)
+    }
+    const used = new Set(aliases.values())
+    let index = 0
+    for (const name of names) {
+        if (aliases.has(name)) continue
+        let alias = aliasFor(index++)
+        while (used.has(alias) || map.declarations.has(alias)) alias = aliasFor(index++)
+        aliases.set(name, alias)
+        used.add(alias)
+    }
+    return aliases
+}
+
+const aliasCharacters = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789_'
+
+/**
+ * @param {number} index
+ * @returns {string} `$a`, `$b`, ..., `$_`, `$ba`, ...
+ */
+function aliasFor(index) {
+    let alias = ''
+    do {
+        alias = aliasCharacters[index % aliasCharacters.length] + alias
+        index = Math.floor(index / aliasCharacters.length)
+    } while (index > 0)
+    return '$' + alias
+}
+
+/**
+ * @param {string} outDir
+ * @param {string} basename
+ * @returns {Promise<Record<string, string>|undefined>} the mangle map of the previous build
+ */
+async function readMangleMap(outDir, basename) {
+    const file = path.join(outDir, `${basename}.mangle.json`)
+    const content = await fs.readFile(file, 'utf-8').catch(error => {
+        if (error.code === 'ENOENT') return undefined
+        throw error
+    })
+    if (content === undefined) return undefined
+    const previous = JSON.parse(content)
+    const isValid =
+        typeof previous === 'object' &&
+        previous !== null &&
+        Object.values(previous).every(name => typeof name === 'string')
+    if (!isValid) {
+        throw new Error(`Expected \`${file}\` to be a mangle map written by split-elm-bundle`)
     }
+    return previous
+}
+
+/**
+ * @param {number} index of the imported module
+ * @returns {string} identifier used for the namespace import
+ */
+function namespaceFor(index) {
+    return index === 0 ? 'shared' : `shared${index}`
 }
 
 /**
@@ -198,22 +1433,27 @@ export async function splitWith1stMode({ input, outDir, basename, programNodes,
  * @typedef {ProgramNode & { needs: Set<string>, shared: Set<string> }} SplitMode1Program
  *
  * @param {{ programs: Array<SplitMode1Program>, shared: Set<string> }} data
+ * @param {Set<string>} alwaysShared are moved to `shared` if a program needs them
  * @returns {void}
  */
-export function transformStateForSplitMode1({ programs, shared }) {
+export function transformStateForSplitMode1({ programs, shared }, alwaysShared = new Set()) {
     // compare all needed dependencies between all programs
     for (let index = 0; index < programs.length; index++) {
         const a = programs[index]
         for (const s of shared.values()) {
             if (a.needs.delete(s)) a.shared.add(s)
         }
+        /** @param {string} need */
+        const shareIfAlways = need => {
+            if (alwaysShared.has(need)) {
+                shared.add(need)
+                a.shared.add(need)
+            }
+        }
         // compare to all other programs
         for (let b of programs.slice(index + 1)) {
             a.needs.forEach(need => {
-                if (elementsToAlwaysShare.includes(need)) {
-                    shared.add(need)
-                    a.shared.add(need)
-                }
+                shareIfAlways(need)
                 if (b.needs.has(need)) {
                     shared.add(need)
                     a.shared.add(need)
@@ -228,6 +1468,9 @@ export function transformStateForSplitMode1({ programs, shared }) {
             // so deleting from a comes at the end
             a.shared.forEach(n => a.needs.delete(n))
         }
+        // the last program is not compared to any other
+        a.needs.forEach(shareIfAlways)
+        a.shared.forEach(n => a.needs.delete(n))
     }
 }
 
@@ -239,3 +1482,66 @@ const elementsToAlwaysShare = [
     '_Debugger_document',
     '_VirtualDom_render',
 ]
+
+/**
+ * @typedef {{ programs: Array<string>, declarations: Set<string> }} ProgramGroup
+ */
+
+/**
+ * Groups the dependencies of all programs by the exact set of programs that need them.
+ * The groups are sorted by the amount of programs, so the group of all programs comes first.
+ *
+ * If `pagesOf` is given, dependencies of more than one program are grouped by the exact set
+ * of pages that load them instead, and `programs` of a group lists all programs that need it.
+ *
+ * @param {Array<{ name: string, needs: Set<string> }>} programs
+ * @param {Set<string>} alwaysShared are put into the group of all programs
+ * @param {Set<string>} exclude are not put into any group
+ * @param {(programs: Array<string>) => string} [pagesOf] returns a key for the set of pages
+ * @returns {Array<ProgramGroup>}
+ */
+export function groupByPrograms(programs, alwaysShared, exclude = new Set(), pagesOf) {
+    /** @type {Map<string, Array<string>>} */
+    const usedBy = new Map()
+    for (const program of programs) {
+        for (const need of program.needs) {
+            if (exclude.has(need)) continue
+            const users = usedBy.get(need) ?? []
+            users.push(program.name)
+            usedBy.set(need, users)
+        }
+    }
+
+    const all = programs.map(program => program.name)
+    /** @type {Map<string, ProgramGroup>} */
+    const groups = new Map()
+    for (const [name, users] of usedBy) {
+        const members = alwaysShared.has(name) ? all : users
+        const key = pagesOf && members.length > 1 ? pagesOf(members) : members.join(',')
+        const group = groups.get(key) ?? { programs: [], declarations: new Set() }
+        group.programs = all.filter(p => group.programs.includes(p) || members.includes(p))
+        group.declarations.add(name)
+        groups.set(key, group)
+    }
+
+    return Array.from(groups.values()).sort((a, b) => b.programs.length - a.programs.length)
+}
+
+/**
+ * The `names` that are needed by any program and all of their dependencies.
+ *
+ * @param {Array<{ needs: Set<string> }>} programs
+ * @param {import('./dependency-graph.mjs').Dependencies} map
+ * @param {ReadonlyArray<string>} names
+ * @returns {Set<string>}
+ */
+function alwaysSharedClosure(programs, map, names = elementsToAlwaysShare) {
+    const result = new Set()
+    for (const name of names) {
+        if (programs.some(program => program.needs.has(name))) {
+            result.add(name)
+            getDependenciesOf(name, map).forEach(result.add, result)
+        }
+    }
+    return result
+}
@@ -1,5 +1,20 @@
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
 import { expect, describe, test } from 'vitest'
-import { transformStateForSplitMode1 } from './split-esm.mjs'
+import { convert } from './convert-iife.mjs'
+import { defaultFileNames, fileNames } from './file-names.mjs'
+import {
+    assignLayers,
+    groupByPrograms,
+    splitIntoStandalonePrograms,
+    splitWith1stMode,
+    splitWith2ndMode,
+    splitWith3rdMode,
+    splitWithGranularChunks,
+    splitWithLayers,
+    transformStateForSplitMode1,
+} from './split-esm.mjs'
 
 test('Simple split of shared deps', () => {
     /** @type import('tree-sitter').SyntaxNode */
@@ -45,3 +60,828 @@ test('Simple split of shared deps', () => {
       }
     `)
 })
+
+test('Group deps by the set of programs that need them', () => {
+    const programs = [
+        { name: 'one', needs: new Set(['a', 'b', 'c', 'x']) },
+        { name: 'two', needs: new Set(['a', 'b', 'd']) },
+        { name: 'three', needs: new Set(['a', 'e']) },
+    ]
+    expect(groupByPrograms(programs, new Set(['x']))).toMatchInlineSnapshot(`
+      [
+        {
+          "declarations": Set {
+            "a",
+            "x",
+          },
+          "programs": [
+            "one",
+            "two",
+            "three",
+          ],
+        },
+        {
+          "declarations": Set {
+            "b",
+          },
+          "programs": [
+            "one",
+            "two",
+          ],
+        },
+        {
+          "declarations": Set {
+            "c",
+          },
+          "programs": [
+            "one",
+          ],
+        },
+        {
+          "declarations": Set {
+            "d",
+          },
+          "programs": [
+            "two",
+          ],
+        },
+        {
+          "declarations": Set {
+            "e",
+          },
+          "programs": [
+            "three",
+          ],
+        },
+      ]
+    `)
+})
+
+test('Assign declarations to layers', () => {
+    /**
+     * @param {string} name
+     * @param {Array<string>} needs
+     * @returns {[string, import('./dependency-graph.mjs').SingleDeclaration]}
+     */
+    const declaration = (name, needs) => [name, { name, needs, startIndex: 0, endIndex: 0 }]
+    const map = {
+        declarations: new Map([
+            declaration('F2', []),
+            declaration('_Json_wrap', ['$elm$core$Result$Ok']),
+            declaration('$elm$core$Result$Ok', []),
+            declaration('$elm$core$List$map', ['F2']),
+            declaration('$author$project$Shared$view', ['$elm$core$List$map']),
+        ]),
+        unnamed: [],
+    }
+    const layers = assignLayers(new Set(map.declarations.keys()), map)
+    expect(Object.fromEntries(layers)).toMatchInlineSnapshot(`
+      {
+        "$author$project$Shared$view": "app",
+        "$elm$core$List$map": "packages",
+        "$elm$core$Result$Ok": "runtime",
+        "F2": "runtime",
+        "_Json_wrap": "runtime",
+      }
+    `)
+})
+
+describe('Split modes', async () => {
+    const file = 'examples/from-aide/compiled/BrowserSandbox+BrowserElement.js'
+    const iife = await fs.readFile(file, 'utf-8')
+    const { esm, programNodes } = convert(iife)
+    const params = {
+        input: { file, sizes: { raw: 0, gzip: 0 }, hash: '' },
+        outDir: 'out',
+        basename: 'bundle',
+        fileNames: fileNames(defaultFileNames, 'bundle', [
+            'BrowserElement',
+            'BrowserSandbox',
+            'Third',
+        ]),
+        programNodes,
+        esm,
+        effects: { printLogs: false, writeFiles: false },
+    }
+
+    test('Lazily loaded programs', async () => {
+        const result = await splitWith2ndMode(params)
+        expect(result).toMatchInlineSnapshot(`
+          {
+            "input": {
+              "file": "examples/from-aide/compiled/BrowserSandbox+BrowserElement.js",
+              "hash": "",
+              "sizes": {
+                "gzip": 0,
+                "raw": 0,
+              },
+            },
+            "output": {
+              "entry": {
+                "file": "out/bundle.mjs",
+                "hash": "210b049b",
+                "sizes": {
+                  "gzip": 16962,
+                  "raw": 69176,
+                },
+              },
+              "programs": [
+                {
+                  "file": "out/bundle.BrowserElement.mjs",
+                  "hash": "83c79bc5",
+                  "sizes": {
+                    "gzip": 1845,
+                    "raw": 8037,
+                  },
+                },
+                {
+                  "file": "out/bundle.BrowserSandbox.mjs",
+                  "hash": "c36d09f1",
+                  "sizes": {
+                    "gzip": 755,
+                    "raw": 3449,
+                  },
+                },
+              ],
+            },
+            "programs": [
+              "BrowserElement",
+              "BrowserSandbox",
+            ],
+            "result": "split-programs-lazy",
+          }
+        `)
+    })
+
+    test('Lazily loaded programs with file name templates', async () => {
+        const names = ['BrowserElement', 'BrowserSandbox']
+        const plain = await splitWith2ndMode({
+            ...params,
+            fileNames: fileNames('[name]/index.mjs', 'bundle', names),
+        })
+        expect(plain.output.entry.file).toBe(path.join('out', 'bundle/index.mjs'))
+        expect(plain.output.shared).toBeUndefined()
+
+        const outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'split-elm-bundle-'))
+        const result = await splitWith2ndMode({
+            ...params,
+            outDir,
+            fileNames: fileNames('[name].[hash].mjs', 'bundle', names),
+            effects: { printLogs: false, writeFiles: true },
+        })
+        const { entry, shared, programs } = result.output
+        expect(entry.file).toBe(path.join(outDir, `bundle.${entry.hash}.mjs`))
+        expect(shared?.file).toBe(path.join(outDir, `shared.${shared?.hash}.mjs`))
+        const entryCode = await fs.readFile(entry.file, 'utf-8')
+        expect(entryCode).toContain(`import('./BrowserElement.${programs[0].hash}.mjs')`)
+        expect(entryCode).not.toContain('import *')
+        const program = await fs.readFile(programs[0].file, 'utf-8')
+        expect(program).toContain(`from './shared.${shared?.hash}.mjs'`)
+
+        // the entry module of an input file called `shared.js` does not replace the shared chunk
+        const named = await splitWith2ndMode({
+            ...params,
+            outDir,
+            basename: 'shared',
+            fileNames: fileNames('[name].[hash].mjs', 'shared', names),
+            effects: { printLogs: false, writeFiles: true },
+        })
+        expect(named.output.entry.file).toBe(
+            path.join(outDir, `_shared.${named.output.entry.hash}.mjs`),
+        )
+        expect(named.output.shared?.file).toBe(shared?.file)
+        await fs.rm(outDir, { recursive: true })
+    })
+
+    test('Primary program that lazily imports the others', async () => {
+        const result = await splitWith3rdMode({ ...params, primary: 'BrowserSandbox' })
+        expect(result).toMatchInlineSnapshot(`
+          {
+            "input": {
+              "file": "examples/from-aide/compiled/BrowserSandbox+BrowserElement.js",
+              "hash": "",
+              "sizes": {
+                "gzip": 0,
+                "raw": 0,
+              },
+            },
+            "output": {
+              "primary": {
+                "file": "out/bundle.BrowserSandbox.mjs",
+                "hash": "cbd2b0b3",
+                "sizes": {
+                  "gzip": 804,
+                  "raw": 3601,
+                },
+              },
+              "programs": [
+                {
+                  "file": "out/bundle.BrowserElement.mjs",
+                  "hash": "3c83a969",
+                  "sizes": {
+                    "gzip": 1848,
+                    "raw": 8044,
+                  },
+                },
+                {
+                  "file": "out/bundle.BrowserSandbox.mjs",
+                  "hash": "cbd2b0b3",
+                  "sizes": {
+                    "gzip": 804,
+                    "raw": 3601,
+                  },
+                },
+              ],
+              "shared": {
+                "file": "out/bundle.shared.mjs",
+                "hash": "6b6e717e",
+                "sizes": {
+                  "gzip": 16865,
+                  "raw": 68843,
+                },
+              },
+            },
+            "primary": "BrowserSandbox",
+            "programs": [
+              "BrowserElement",
+              "BrowserSandbox",
+            ],
+            "result": "split-programs-primary",
+          }
+        `)
+    })
+
+    test('Primary program must be part of the bundle', async () => {
+        await expect(splitWith3rdMode({ ...params, primary: 'Unknown' })).rejects.toThrowError(
+            "The primary program 'Unknown' is not part of the bundle",
+        )
+    })
+
+    // a third program that needs the same code as `BrowserSandbox`
+    const third = iife.replace(
+        "_Platform_export({'BrowserElement'",
+        "_Platform_export({'Third':{'init':$author$project$BrowserSandbox$main(" +
+            "$elm$json$Json$Decode$succeed(_Utils_Tuple0))(0)},'BrowserElement'",
+    )
+
+    test('Granular chunks per set of programs', async () => {
+        const result = await splitWithGranularChunks({ ...params, ...convert(third) })
+        expect(result.output).toMatchInlineSnapshot(`
+          {
+            "chunks": [
+              {
+                "file": "out/bundle.shared.mjs",
+                "hash": "6b6e717e",
+                "programs": [
+                  "Third",
+                  "BrowserElement",
+                  "BrowserSandbox",
+                ],
+                "sizes": {
+                  "gzip": 16865,
+                  "raw": 68843,
+                },
+              },
+              {
+                "file": "out/bundle.shared-1.mjs",
+                "hash": "fcfb7fac",
+                "programs": [
+                  "Third",
+                  "BrowserSandbox",
+                ],
+                "sizes": {
+                  "gzip": 730,
+                  "raw": 3584,
+                },
+              },
+            ],
+            "programs": [
+              {
+                "file": "out/bundle.Third.mjs",
+                "hash": "c6bb69f3",
+                "sizes": {
+                  "gzip": 196,
+                  "raw": 287,
+                },
+              },
+              {
+                "file": "out/bundle.BrowserElement.mjs",
+                "hash": "3c83a969",
+                "sizes": {
+                  "gzip": 1848,
+                  "raw": 8044,
+                },
+              },
+              {
+                "file": "out/bundle.BrowserSandbox.mjs",
+                "hash": "cc1a17e7",
+                "sizes": {
+                  "gzip": 197,
+                  "raw": 307,
+                },
+              },
+            ],
+          }
+        `)
+    })
+
+    test('Merge granular chunks below a minimum size', async () => {
+        /** @type {import('./types/public.js').MinChunkSize} */
+        const minChunkSize = { bytes: 1000, metric: 'gzip', strategy: 'merge' }
+        const result = await splitWithGranularChunks({ ...params, ...convert(third), minChunkSize })
+        expect(result.output.chunks.map(chunk => chunk.programs)).toEqual([
+            ['Third', 'BrowserElement', 'BrowserSandbox'],
+        ])
+        expect(result.output.smallChunks).toMatchInlineSnapshot(`
+          [
+            {
+              "action": "merge",
+              "into": [
+                "Third",
+                "BrowserElement",
+                "BrowserSandbox",
+              ],
+              "programs": [
+                "Third",
+                "BrowserSandbox",
+              ],
+              "sizes": {
+                "gzip": 641,
+                "raw": 2780,
+              },
+            },
+          ]
+        `)
+    })
+
+    test('Duplicate granular chunks below a minimum size', async () => {
+        /** @type {import('./types/public.js').MinChunkSize} */
+        const minChunkSize = { bytes: 5000, metric: 'raw', strategy: 'duplicate' }
+        const result = await splitWithGranularChunks({ ...params, ...convert(third), minChunkSize })
+        expect(result.output.chunks.length).toBe(1)
+        expect(result.output.smallChunks).toMatchInlineSnapshot(`
+          [
+            {
+              "action": "duplicate",
+              "programs": [
+                "Third",
+                "BrowserSandbox",
+              ],
+              "sizes": {
+                "gzip": 641,
+                "raw": 2780,
+              },
+            },
+          ]
+        `)
+    })
+
+    test('Group granular chunks by pages', async () => {
+        const pages = { home: ['Third', 'BrowserSandbox'], all: ['BrowserElement', 'Third'] }
+        const result = await splitWithGranularChunks({ ...params, ...convert(third), pages })
+        // the code of `BrowserSandbox` and `Third` is needed on every page because of `Third`
+        expect(result.output.chunks.map(chunk => chunk.programs)).toEqual([
+            ['Third', 'BrowserElement', 'BrowserSandbox'],
+        ])
+        expect(result.output.pages).toMatchInlineSnapshot(`
+          [
+            {
+              "files": [
+                "out/bundle.shared.mjs",
+                "out/bundle.Third.mjs",
+                "out/bundle.BrowserSandbox.mjs",
+              ],
+              "page": "home",
+              "programs": [
+                "Third",
+                "BrowserSandbox",
+              ],
+              "sizes": {
+                "gzip": 17673,
+                "raw": 72434,
+              },
+            },
+            {
+              "files": [
+                "out/bundle.shared.mjs",
+                "out/bundle.Third.mjs",
+                "out/bundle.BrowserElement.mjs",
+              ],
+              "page": "all",
+              "programs": [
+                "BrowserElement",
+                "Third",
+              ],
+              "sizes": {
+                "gzip": 19336,
+                "raw": 80222,
+              },
+            },
+          ]
+        `)
+    })
+
+    test('Pages must only list programs of the bundle', async () => {
+        const pages = { home: ['Unknown'] }
+        await expect(
+            splitWithGranularChunks({ ...params, ...convert(third), pages }),
+        ).rejects.toThrowError("The page 'home' lists the program 'Unknown'")
+    })
+
+    test('Chunk groups and pinned declarations', async () => {
+        const chunks = {
+            groups: { sandbox: ['Third', 'BrowserSandbox'] },
+            pin: { shared: ['$author$project$One$*'] },
+        }
+        const result = await splitWith1stMode({ ...params, ...convert(third), chunks })
+        const [group] = result.output.groups ?? []
+        expect(group.file).toBe('out/bundle.sandbox.mjs')
+        expect(group.programs).toEqual(['Third', 'BrowserSandbox'])
+        expect(group.declarations).toContain('$author$project$BrowserSandbox$view')
+        expect(group.declarations).not.toContain('$author$project$One$Strings$string1')
+        expect(
+            [result.output.shared, group, ...result.output.programs].map(({ file, sizes }) => [
+                file,
+                sizes.raw,
+            ]),
+        ).toMatchInlineSnapshot(`
+          [
+            [
+              "out/bundle.shared.mjs",
+              68843,
+            ],
+            [
+              "out/bundle.sandbox.mjs",
+              3584,
+            ],
+            [
+              "out/bundle.Third.mjs",
+              286,
+            ],
+            [
+              "out/bundle.BrowserElement.mjs",
+              8044,
+            ],
+            [
+              "out/bundle.BrowserSandbox.mjs",
+              306,
+            ],
+          ]
+        `)
+    })
+
+    test('Chunk groups and pins must use names of the bundle', async () => {
+        const { programNodes, esm } = convert(third)
+        await expect(
+            splitWith1stMode({
+                ...params,
+                programNodes,
+                esm,
+                chunks: { groups: { admin: ['Unknown'] } },
+            }),
+        ).rejects.toThrowError("The group 'admin' contains the program 'Unknown'")
+        await expect(
+            splitWith1stMode({ ...params, programNodes, esm, chunks: { pin: { admin: ['$x'] } } }),
+        ).rejects.toThrowError(
+            "Cannot pin declarations to 'admin', pick one of these instead: shared",
+        )
+        await expect(
+            splitWith1stMode({
+                ...params,
+                programNodes,
+                esm,
+                chunks: { pin: { shared: ['$x$*'] } },
+            }),
+        ).rejects.toThrowError("Cannot pin '$x$*' to 'shared' because it is not declared")
+    })
+
+    test('Duplicate tiny shared declarations', async () => {
+        const result = await splitWith1stMode({ ...params, ...convert(third), duplicateBelow: 200 })
+        expect(result.output.duplicated).toContain('$author$project$One$Strings$string1')
+        expect(
+            [result.output.shared, ...result.output.programs].map(({ file, sizes }) => [
+                file,
+                sizes.raw,
+            ]),
+        ).toMatchInlineSnapshot(`
+          [
+            [
+              "out/bundle.shared.mjs",
+              71942,
+            ],
+            [
+              "out/bundle.Third.mjs",
+              342,
+            ],
+            [
+              "out/bundle.BrowserElement.mjs",
+              8368,
+            ],
+            [
+              "out/bundle.BrowserSandbox.mjs",
+              362,
+            ],
+          ]
+        `)
+    })
+
+    test('Never duplicate declarations that can hold state', async () => {
+        const result = await splitWith1stMode({ ...params, duplicateBelow: Infinity })
+        for (const name of [
+            '_VirtualDom_divertHrefToApp',
+            '_Scheduler_queue',
+            '_Platform_effectManagers',
+        ]) {
+            expect(result.output.duplicated).not.toContain(name)
+        }
+    })
+
+    test('Content hashes in file names and the manifest', async () => {
+        const outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'split-elm-bundle-'))
+        const result = await splitWith1stMode({
+            ...params,
+            outDir,
+            fileNames: fileNames('[basename].[name].[hash].mjs', 'bundle', []),
+            manifest: true,
+            effects: { printLogs: false, writeFiles: true },
+        })
+        const { shared, programs } = result.output
+        expect(shared.file).toBe(path.join(outDir, `bundle.shared.${shared.hash}.mjs`))
+
+        /** @type {(file: string) => Promise<any>} */
+        const readJson = async file =>
+            JSON.parse(await fs.readFile(path.join(outDir, file), 'utf-8'))
+        const manifest = await readJson('bundle.manifest.json')
+        expect(manifest.BrowserElement).toEqual({
+            file: `bundle.BrowserElement.${programs[0].hash}.mjs`,
+            imports: [`bundle.shared.${shared.hash}.mjs`],
+        })
+        // the hash of the shared file is part of the content of every program
+        const program = await fs.readFile(programs[0].file, 'utf-8')
+        expect(program).toContain(`from './bundle.shared.${shared.hash}.mjs'`)
+
+        // another input file in the same directory gets its own manifest
+        await splitWith1stMode({
+            ...params,
+            ...convert(third),
+            outDir,
+            basename: 'other',
+            fileNames: fileNames('[basename].[name].[hash].mjs', 'other', []),
+            manifest: true,
+            effects: { printLogs: false, writeFiles: true },
+        })
+        expect(await readJson('bundle.manifest.json')).toEqual(manifest)
+        expect(Object.keys(await readJson('other.manifest.json'))).toContain('Third')
+        await fs.rm(outDir, { recursive: true })
+    })
+
+    test('Named imports of shared code', async () => {
+        const outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'split-elm-bundle-'))
+        const write = { ...params, outDir, effects: { printLogs: false, writeFiles: true } }
+        const namespace = await splitWith1stMode(write)
+        const [_import, ...program] = (
+            await fs.readFile(namespace.output.programs[0].file, 'utf-8')
+        ).split('\n')
+        const named = await splitWith1stMode({ ...write, imports: 'named' })
+        const [imports, ...code] = (
+            await fs.readFile(named.output.programs[0].file, 'utf-8')
+        ).split('\n')
+
+        const match = imports.match(/^import \{ (.*) \} from '\.\/bundle\.shared\.mjs';$/)
+        const names = match?.[1].split(', ') ?? []
+        expect(names).toContain('F2')
+        // exactly the names that were used with the namespace
+        expect(names.sort()).toEqual(
+            Array.from(new Set(program.join('\n').match(/(?<=shared\.)[\w$]+/g))).sort(),
+        )
+        expect(code.join('\n')).toBe(program.join('\n').replaceAll('shared.', ''))
+        await fs.rm(outDir, { recursive: true })
+    })
+
+    test('Mangled export names', async () => {
+        const outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'split-elm-bundle-'))
+        const write = { ...params, outDir, effects: { printLogs: false, writeFiles: true } }
+        /** @type {(file: string) => Promise<string>} */
+        const read = file => fs.readFile(path.resolve(outDir, file), 'utf-8')
+
+        const result = await splitWith1stMode({ ...write, mangle: true })
+        /** @type {Record<string, string>} */
+        const aliases = JSON.parse(await read('bundle.mangle.json'))
+        expect(Object.entries(aliases).slice(0, 2)).toEqual([
+            ['$a', '_Utils_cmp'],
+            ['$b', '_Utils_Tuple0'],
+        ])
+        const shared = await read(result.output.shared.file)
+        expect(shared).toMatch(/^export \{ F, F2, F3, F4, F5, A2, A3, A4, A5, _Utils_cmp as \$a, /m)
+        const program = await read(result.output.programs[0].file)
+        const alias = Object.keys(aliases).find(key => aliases[key] === '_List_fromArray')
+        expect(program).toContain(`shared.${alias}(`)
+        expect(program).not.toContain('_List_fromArray')
+        expect(program).toContain('shared.F2(')
+
+        // the aliases of the previous build are kept
+        const kept = { $keep: '_List_fromArray' }
+        await fs.writeFile(path.join(outDir, 'bundle.mangle.json'), JSON.stringify(kept))
+        const named = await splitWith1stMode({ ...write, mangle: true, imports: 'named' })
+        expect(JSON.parse(await read('bundle.mangle.json'))).toMatchObject({
+            ...kept,
+            $a: '_Utils_cmp',
+        })
+        const [imports, ...code] = (await read(named.output.programs[0].file)).split('\n')
+        expect(imports).toMatch(/^import \{ F2, .*\$keep.* \} from '\.\/bundle\.shared\.mjs';$/)
+        expect(code.join('\n')).toContain('$keep(')
+
+        // another input file in the same directory gets its own aliases
+        const before = await read('bundle.mangle.json')
+        await splitWith1stMode({
+            ...write,
+            ...convert(third),
+            basename: 'other',
+            fileNames: fileNames(defaultFileNames, 'other', []),
+            mangle: true,
+        })
+        expect(await read('bundle.mangle.json')).toBe(before)
+        expect(JSON.parse(await read('other.mangle.json'))).toMatchObject({ $a: '_Utils_cmp' })
+        expect(await read('other.mangle.json')).not.toContain('$keep')
+        await fs.rm(outDir, { recursive: true })
+    })
+
+    test('Minified output', async () => {
+        const result = await splitWith1stMode({ ...params, minify: true })
+        const [shared, ...programs] = [result.output.shared, ...result.output.programs]
+        for (const { sizes, unminified } of [shared, ...programs]) {
+            expect(unminified?.raw).toBeGreaterThan(sizes.raw)
+        }
+        const plain = await splitWith1stMode(params)
+        expect(plain.output.shared.unminified).toBeUndefined()
+        expect(plain.output.shared.sizes).toEqual(shared.unminified)
+    })
+
+    test('Lock file keeps declarations in the same file', async () => {
+        const outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'split-elm-bundle-'))
+        const lockFile = path.join(outDir, 'split.lock.json')
+        const write = { ...params, outDir, effects: { printLogs: false, writeFiles: true } }
+        const before = await splitWith1stMode({ ...write, ...convert(third), lockFile })
+        const lock = JSON.parse(await fs.readFile(lockFile, 'utf-8'))
+        expect(lock.chunks.$author$project$BrowserSandbox$view).toBe('shared')
+
+        // without `Third`, the code of `BrowserSandbox` is not shared anymore
+        const fresh = await splitWith1stMode(params)
+        const after = await splitWith1stMode({ ...write, lockFile })
+        expect(after.output.shared.sizes).toEqual(before.output.shared.sizes)
+        expect(after.output.shared.sizes.raw).toBeGreaterThan(fresh.output.shared.sizes.raw)
+        await fs.rm(outDir, { recursive: true })
+    })
+
+    test('Lock file keeps the chunks of groups and duplicated declarations', async () => {
+        const outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'split-elm-bundle-'))
+        const lockFile = path.join(outDir, 'split.lock.json')
+        const write = { ...params, outDir, effects: { printLogs: false, writeFiles: true } }
+        const before = await splitWith1stMode({
+            ...write,
+            ...convert(third),
+            chunks: { groups: { sandbox: ['Third', 'BrowserSandbox'] } },
+            duplicateBelow: 200,
+            lockFile,
+        })
+        const lock = JSON.parse(await fs.readFile(lockFile, 'utf-8'))
+        expect(lock.chunks.$author$project$BrowserSandbox$view).toBe('sandbox')
+        expect(lock.duplicated).toContain('$author$project$One$Strings$string1')
+
+        // without `Third`, only `BrowserSandbox` needs the code of the group,
+        // and fewer declarations are below the new size
+        const next = {
+            ...write,
+            chunks: { groups: { sandbox: ['BrowserSandbox'] } },
+            duplicateBelow: 100,
+        }
+        const fresh = await splitWith1stMode({ ...next, outDir: 'out', effects: params.effects })
+        const after = await splitWith1stMode({ ...next, lockFile })
+        expect(fresh.output.groups?.[0].declarations).toEqual([])
+        /** @type {(names?: ReadonlyArray<string>) => Array<string>} */
+        const sorted = (names = []) => [...names].sort()
+        const [group] = before.output.groups ?? []
+        const [lockedGroup] = after.output.groups ?? []
+        expect(sorted(lockedGroup.declarations)).toEqual(sorted(group.declarations))
+        expect(lockedGroup.sizes).toEqual(group.sizes)
+        expect(sorted(fresh.output.duplicated)).not.toEqual(sorted(before.output.duplicated))
+        expect(sorted(after.output.duplicated)).toEqual(sorted(before.output.duplicated))
+        expect(after.output.shared.sizes).toEqual(before.output.shared.sizes)
+        await fs.rm(outDir, { recursive: true })
+    })
+
+    test('Layered shared code', async () => {
+        const result = await splitWithLayers({ ...params, ...convert(third) })
+        expect(result.output.layers.map(({ file, layer }) => ({ file, layer }))).toEqual([
+            { file: 'out/bundle.shared.runtime.mjs', layer: 'runtime' },
+            { file: 'out/bundle.shared.packages.mjs', layer: 'packages' },
+            { file: 'out/bundle.shared.app.mjs', layer: 'app' },
+        ])
+        expect(result.output.layers[2].declarations).toContain(
+            '$author$project$BrowserSandbox$init',
+        )
+    })
+
+    test('Standalone programs', async () => {
+        const result = await splitIntoStandalonePrograms(params)
+        expect(
+            result.output.programs.map(({ file, sizes }) => [file, sizes.raw]),
+        ).toMatchInlineSnapshot(`
+          [
+            [
+              "out/bundle.BrowserElement.mjs",
+              71032,
+            ],
+            [
+              "out/bundle.BrowserSandbox.mjs",
+              66738,
+            ],
+          ]
+        `)
+    })
+})
+
+describe('Nested module names', async () => {
+    const file = 'examples/from-aide/compiled/BrowserSandbox+BrowserElement.js'
+    // like a bundle of the modules `Pages.Home` and `Pages`
+    const iife = (await fs.readFile(file, 'utf-8'))
+        .replace("{'BrowserElement':{'init':", "{'Pages':{'Home':{'init':")
+        .replace("},'BrowserSandbox':{'init':", "},'init':")
+    const { esm, programNodes } = convert(iife)
+    const names = programNodes.map(program => program.name)
+
+    test('Name the programs after their module', () => {
+        expect(names).toEqual(['Pages.Home', 'Pages'])
+        expect(esm.substring(esm.indexOf('export const Pages_Home'))).toMatch(
+            /^export const Pages_Home = \{ init: .*\};\nexport const Pages = \{ init: [^]*\};\nexport const Elm = \{ Pages: \{ \.\.\.Pages, Home: Pages_Home \} \};\nexport default Elm;$/,
+        )
+    })
+
+    test('Write one file per module', async () => {
+        const result = await splitWith1stMode({
+            input: { file, sizes: { raw: 0, gzip: 0 }, hash: '' },
+            outDir: 'out',
+            basename: 'bundle',
+            fileNames: fileNames(defaultFileNames, 'bundle', names),
+            programNodes,
+            esm,
+            effects: { printLogs: false, writeFiles: false },
+        })
+        expect(result.output.programs.map(program => program.file)).toEqual([
+            'out/bundle.Pages.Home.mjs',
+            'out/bundle.Pages.mjs',
+        ])
+    })
+})
+
+test('Do not rewrite parameters that shadow shared declarations', async () => {
+    const shadowing =
+        'var local = function ($author$project$One$Strings$string1) { return $author$project$One$Strings$string1; };'
+    const file = 'examples/from-aide/compiled/BrowserSandbox+BrowserElement.js'
+    const iife = (await fs.readFile(file, 'utf-8')).replace(
+        '$author$project$BrowserSandbox$view = function (number) {',
+        '$author$project$BrowserSandbox$view = function (number) {\n\t' + shadowing,
+    )
+    const { esm, programNodes } = convert(iife)
+    const outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'split-elm-bundle-'))
+    const result = await splitWith1stMode({
+        input: { file, sizes: { raw: 0, gzip: 0 }, hash: '' },
+        outDir,
+        basename: 'bundle',
+        fileNames: fileNames(defaultFileNames, 'bundle', ['BrowserElement', 'BrowserSandbox']),
+        programNodes,
+        esm,
+        effects: { printLogs: false, writeFiles: true },
+    })
+    const [element, sandbox] = await Promise.all(
+        result.output.programs.map(program => fs.readFile(program.file, 'utf-8')),
+    )
+    for (const program of [element, sandbox]) {
+        expect(program).toContain('$elm$html$Html$text(shared.$author$project$One$Strings$string1)')
+    }
+    expect(sandbox).toContain(shadowing)
+})
+
+test('Do not rewrite `var` declarations of nested blocks that shadow shared declarations', async () => {
+    const shadowing =
+        'var local = function (object) { if (object) { for (var $author$project$One$Strings$string1 in object) {} } return $author$project$One$Strings$string1; };'
+    const file = 'examples/from-aide/compiled/BrowserSandbox+BrowserElement.js'
+    const iife = (await fs.readFile(file, 'utf-8')).replace(
+        '$author$project$BrowserSandbox$view = function (number) {',
+        '$author$project$BrowserSandbox$view = function (number) {\n\t' + shadowing,
+    )
+    const { esm, programNodes } = convert(iife)
+    const outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'split-elm-bundle-'))
+    const result = await splitWith1stMode({
+        input: { file, sizes: { raw: 0, gzip: 0 }, hash: '' },
+        outDir,
+        basename: 'bundle',
+        fileNames: fileNames(defaultFileNames, 'bundle', ['BrowserElement', 'BrowserSandbox']),
+        programNodes,
+        esm,
+        effects: { printLogs: false, writeFiles: true },
+    })
+    const sandbox = await fs.readFile(result.output.programs[1].file, 'utf-8')
+    expect(sandbox).toContain(shadowing)
+    await fs.rm(outDir, { recursive: true })
+})
@@ -1,4 +1,4 @@
-import { FileWithSizes } from '../file-size.mjs'
+import { FileWithSizes, Sizes } from '../file-size.mjs'
 
 export type SideEffects = {
     // if false, no output is logged to stdout
@@ -7,7 +7,106 @@ export type SideEffects = {
     writeFiles: boolean
 }
 
-export type SplitResult = Error | SingleEsm | ManyProgramsWithSingleShared
+export type OutputOptions = {
+    // defaults to the directory of the input file
+    outDir?: string
+    // defaults to `[basename].[name].mjs`, see `fileNames` in `src/file-names.mjs`
+    fileNames?: string
+    // writes a `[basename].manifest.json` into `outDir`
+    manifest?: boolean
+    // lets the HMR client of the dev server replace a running program, see `src/hmr.mjs`
+    hmr?: boolean
+    // `namespace` (default) imports shared code with `import * as shared` and prefixes every use,
+    // `named` imports exactly the names that a file uses and keeps the code as it is
+    imports?: 'namespace' | 'named'
+    // exports shared declarations with short aliases and writes a `[basename].mangle.json` into `outDir`
+    mangle?: boolean
+    // strips comments and whitespace and renames local variables, see `src/minify.mjs`
+    minify?: boolean
+}
+
+// the file of each program and all files that it imports, relative to `outDir`
+export type Manifest = Record<string, { file: string; imports: ReadonlyArray<string> }>
+
+export type SplitOptions = OutputOptions & ModeOptions
+
+export type ModeOptions =
+    // one file per program which imports a single shared file
+    | { mode: 'shared'; chunks?: ChunkConfig; duplicateBelow?: number; lockFile?: string }
+    // one entry file with the shared code, which imports each program on its first `init`
+    | { mode: 'lazy' }
+    // like `shared`, but the `primary` program file imports every other program on its first `init`
+    | { mode: 'primary'; primary: string }
+    // one file per program which imports the shared chunks of each set of programs it is part of
+    | { mode: 'granular'; minChunkSize?: MinChunkSize; pages?: Pages }
+    // like `shared`, but the shared code is split into the layers `runtime`, `packages` and `app`
+    | { mode: 'layered' }
+    // one self-contained file per program without any shared file
+    | { mode: 'standalone' }
+
+export type MinChunkSize = {
+    bytes: number
+    // which size of a chunk is compared to `bytes`
+    metric: 'raw' | 'gzip'
+    // `merge` moves a smaller chunk into the chunk of the closest superset of programs
+    // `duplicate` copies a smaller chunk into every module that uses it
+    strategy: 'merge' | 'duplicate'
+}
+
+export type ChunkConfig = {
+    // named groups of programs, the shared code of only these programs is put into its own chunk
+    // e.g. `{ "admin": ["UserAdmin", "Billing"] }`
+    groups?: Record<string, ReadonlyArray<string>>
+    // declarations that are moved into the chunk `shared` or the chunk of a group, a name that
+    // ends with `*` matches all declarations with that prefix
+    // e.g. `{ "admin": ["$author$project$Icons$*"] }`
+    pin?: Record<string, ReadonlyArray<string>>
+}
+
+// the content of a lock file, which remembers the file of every declaration between builds
+export type ChunkLock = {
+    version: 1
+    // declaration name -> `shared`, the name of a group or the name of a program
+    chunks: Record<string, string>
+    // the shared declarations that were copied into every file that needs them
+    duplicated?: Array<string>
+}
+
+// the names of the programs that each page loads together, e.g. `{ "index": ["Header", "Search"] }`
+export type Pages = Record<string, ReadonlyArray<string>>
+
+// the sum of all files that a page loads
+export type PageTotal = {
+    page: string
+    programs: ReadonlyArray<string>
+    files: ReadonlyArray<string>
+    sizes: Sizes
+}
+
+// a chunk that was smaller than `MinChunkSize`
+export type SmallChunk =
+    | {
+          action: 'merge'
+          programs: ReadonlyArray<string>
+          into: ReadonlyArray<string>
+          sizes: Sizes
+      }
+    | { action: 'duplicate'; programs: ReadonlyArray<string>; sizes: Sizes }
+
+export type SplitResult =
+    | Error
+    | ((
+          | SingleEsm
+          | ManyProgramsWithSingleShared
+          | LazyPrograms
+          | PrimaryProgram
+          | GranularChunks
+          | LayeredShared
+          | StandalonePrograms
+      ) & {
+          // only if the input was an HTML file, the HTML file that imports the split files
+          html?: Readonly<FileWithSizes>
+      })
 
 export type Error = Result<'error', { message: string; input?: FileWithSizes }>
 
@@ -25,7 +124,78 @@ export type ManyProgramsWithSingleShared = {
     result: 'split-programs-one-shared'
     programs: ReadonlyArray<string>
     input: Readonly<FileWithSizes>
-    output: { programs: ReadonlyArray<FileWithSizes>; shared: Readonly<FileWithSizes> }
+    output: {
+        programs: ReadonlyArray<FileWithSizes>
+        shared: Readonly<FileWithSizes>
+        // only if `ChunkConfig.groups` were given
+        groups?: ReadonlyArray<
+            FileWithSizes & {
+                group: string
+                programs: ReadonlyArray<string>
+                declarations: ReadonlyArray<string>
+            }
+        >
+        // only if `duplicateBelow` was given, the declarations copied into every program that needs them
+        duplicated?: ReadonlyArray<string>
+    }
+}
+
+export type LazyPrograms = {
+    result: 'split-programs-lazy'
+    programs: ReadonlyArray<string>
+    input: Readonly<FileWithSizes>
+    output: {
+        entry: Readonly<FileWithSizes>
+        // only if the entry file has a `[hash]` in its name, the shared code is not part of it
+        shared?: Readonly<FileWithSizes>
+        programs: ReadonlyArray<FileWithSizes>
+    }
+}
+
+export type PrimaryProgram = {
+    result: 'split-programs-primary'
+    programs: ReadonlyArray<string>
+    primary: string
+    input: Readonly<FileWithSizes>
+    output: {
+        shared: Readonly<FileWithSizes>
+        primary: Readonly<FileWithSizes>
+        programs: ReadonlyArray<FileWithSizes>
+    }
+}
+
+export type GranularChunks = {
+    result: 'split-programs-granular'
+    programs: ReadonlyArray<string>
+    input: Readonly<FileWithSizes>
+    output: {
+        // every chunk lists the programs that import it
+        chunks: ReadonlyArray<FileWithSizes & { programs: ReadonlyArray<string> }>
+        programs: ReadonlyArray<FileWithSizes>
+        // only if a `MinChunkSize` was given
+        smallChunks?: ReadonlyArray<SmallChunk>
+        // only if `Pages` were given
+        pages?: ReadonlyArray<PageTotal>
+    }
+}
+
+export type Layer = 'runtime' | 'packages' | 'app'
+
+export type LayeredShared = {
+    result: 'split-programs-layered'
+    programs: ReadonlyArray<string>
+    input: Readonly<FileWithSizes>
+    output: {
+        layers: ReadonlyArray<FileWithSizes & { layer: Layer; declarations: ReadonlyArray<string> }>
+        programs: ReadonlyArray<FileWithSizes>
+    }
+}
+
+export type StandalonePrograms = {
+    result: 'split-programs-standalone'
+    programs: ReadonlyArray<string>
+    input: Readonly<FileWithSizes>
+    output: { programs: ReadonlyArray<FileWithSizes> }
 }
 
 export type Result<literal, T> = { result: readonly literal } & readonly T
@@ -0,0 +1,173 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { byteToStr, sizesToString } from './file-size.mjs'
+
+/**
+ * @typedef {import('./file-size.mjs').FileWithSizes} FileWithSizes
+ * @typedef {import('./types/public.js').SplitResult} SplitResult
+ */
+
+/**
+ * Calls `run` whenever one of the `files` was written. Because `elm make` may write a file
+ * several times in a row, `run` is only called once no file was written for `delay` ms.
+ * The directories are watched instead of the files, because a file might be replaced.
+ *
+ * @param {Array<string>} files
+ * @param {() => Promise<void>} run must not throw, and is never called while it still runs
+ * @param {{ delay?: number }} [options]
+ * @returns {{ close: () => void }}
+ */
+export function watchFiles(files, run, { delay = 100 } = {}) {
+    /** @type {NodeJS.Timeout|undefined} */
+    let timer
+    let running = Promise.resolve()
+    const schedule = () => {
+        clearTimeout(timer)
+        timer = setTimeout(() => {
+            running = running.then(run)
+        }, delay)
+    }
+
+    const directories = new Set(files.map(file => path.dirname(path.resolve(file))))
+    const watchers = Array.from(directories, directory => {
+        const names = files
+            .filter(file => path.dirname(path.resolve(file)) === directory)
+            .map(file => path.basename(file))
+        return fs.watch(directory, (_event, name) => {
+            if (name && names.includes(name.toString())) schedule()
+        })
+    })
+
+    return {
+        close: () => {
+            clearTimeout(timer)
+            watchers.forEach(watcher => watcher.close())
+        },
+    }
+}
+
+/**
+ * Splits all `files` once, and then again whenever one of them was written, and prints how the
+ * sizes of the output files changed. A failed split is only printed, and the next change to the
+ * file splits it again, e.g. once the compiler wrote a complete bundle.
+ *
+ * @param {Array<string>} files
+ * @param {(file: string) => Promise<SplitResult>} split
+ * @param {{
+ *  delay?: number,
+ *  onChange?: (changed: Array<string>, result: SplitResult) => void
+ * }} [options] `onChange` is called with the output files that changed, see `watchFiles` for `delay`
+ * @returns {Promise<{ close: () => void }>} once all files were split for the first time
+ */
+export async function splitOnChange(files, split, { delay, onChange } = {}) {
+    /** @type {Map<string, Array<FileWithSizes>>} */
+    const previous = new Map()
+    const splitAll = async () => {
+        for (const file of files) {
+            const start = Date.now()
+            try {
+                const result = await split(file)
+                if (result.result === 'error') throw new Error(result.message)
+                const seconds = ((Date.now() - start) / 1000).toFixed(1)
+                console.log(`[${new Date().toLocaleTimeString()}] Split ${file} in ${seconds}s`)
+                const outputs = outputFiles(result)
+                const before = previous.get(file)
+                sizeDiff(before ?? [], outputs).forEach(line => console.log(`  ${line}`))
+                previous.set(file, outputs)
+                const changed = before ? changedFiles(before, outputs) : []
+                if (onChange && changed.length > 0) onChange(changed, result)
+            } catch (ex) {
+                // keep watching, the next compilation might fix it
+                console.error(`[${new Date().toLocaleTimeString()}] Could not split ${file}`)
+                console.error(ex instanceof Error ? ex.message : ex)
+            }
+        }
+    }
+
+    await splitAll()
+    return watchFiles(files, splitAll, { delay })
+}
+
+/**
+ * @param {SplitResult} result
+ * @returns {Array<FileWithSizes>} every file that was written
+ */
+export function outputFiles(result) {
+    if (result.result === 'error') return []
+    /** @type {Array<FileWithSizes>} */
+    const files = []
+    /** @param {unknown} value */
+    const collect = value => {
+        if (Array.isArray(value)) {
+            value.forEach(collect)
+        } else if (typeof value === 'object' && value !== null) {
+            if ('file' in value && 'sizes' in value && 'hash' in value) {
+                files.push(/** @type {FileWithSizes} */ (value))
+            } else {
+                Object.values(value).forEach(collect)
+            }
+        }
+    }
+    collect(result.output)
+    if (result.html) files.push(result.html)
+    // e.g. the chunk of a group is also listed as a program chunk
+    return files.filter((file, index) => files.findIndex(f => f.file === file.file) === index)
+}
+
+/**
+ * @param {SplitResult} result
+ * @returns {Array<string>} the files that export programs, all others only contain shared code
+ */
+export function programFiles(result) {
+    switch (result.result) {
+        case 'error':
+            return []
+        case 'esm-dce':
+            return [result.output.file]
+        case 'split-programs-primary':
+            return [result.output.primary, ...result.output.programs].map(({ file }) => file)
+        default:
+            return result.output.programs.map(({ file }) => file)
+    }
+}
+
+/**
+ * Compares the files of two builds, a file with a content hash in its name is compared to the
+ * file with the same name in the other build apart from the hash.
+ *
+ * @param {Array<FileWithSizes>} before
+ * @param {Array<FileWithSizes>} after
+ * @returns {Array<string>} one line per file
+ */
+export function sizeDiff(before, after) {
+    /** @param {FileWithSizes} file */
+    const key = ({ file, hash }) => file.replace(hash, '[hash]')
+    const previous = new Map(before.map(file => [key(file), file]))
+
+    const lines = after.map(file => {
+        const old = previous.get(key(file))
+        previous.delete(key(file))
+        if (!old) return `${file.file} ${sizesToString(file.sizes)} (new)`
+        const diff = file.sizes.gzip - old.sizes.gzip
+        const change =
+            old.hash === file.hash
+                ? 'unchanged'
+                : `${diff < 0 ? '-' : '+'}${byteToStr(Math.abs(diff))} gzip`
+        return `${file.file} ${sizesToString(file.sizes)} (${change})`
+    })
+    for (const old of previous.values()) {
+        lines.push(`${old.file} (removed)`)
+    }
+    return lines
+}
+
+/**
+ * @param {Array<FileWithSizes>} before
+ * @param {Array<FileWithSizes>} after
+ * @returns {Array<string>} the files of `after` whose content is not part of `before`
+ */
+export function changedFiles(before, after) {
+    return after
+        .filter(file => !before.some(old => old.file === file.file && old.hash === file.hash))
+        .map(({ file }) => file)
+}
@@ -0,0 +1,88 @@
+import { writeFileSync } from 'node:fs'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { expect, test, vi } from 'vitest'
+import { split } from './main.mjs'
+import { changedFiles, sizeDiff, splitOnChange, watchFiles } from './watch.mjs'
+
+test('Compare the sizes of two builds', () => {
+    const before = [
+        {
+            file: 'out/bundle.shared.1a2b3c4d.mjs',
+            sizes: { raw: 72000, gzip: 17300 },
+            hash: '1a2b3c4d',
+        },
+        { file: 'out/bundle.Clock.mjs', sizes: { raw: 300, gzip: 200 }, hash: '00000000' },
+        { file: 'out/bundle.Quotes.mjs', sizes: { raw: 900, gzip: 400 }, hash: '11111111' },
+    ]
+    const after = [
+        {
+            file: 'out/bundle.shared.5e6f7a8b.mjs',
+            sizes: { raw: 72100, gzip: 17312 },
+            hash: '5e6f7a8b',
+        },
+        { file: 'out/bundle.Clock.mjs', sizes: { raw: 300, gzip: 200 }, hash: '00000000' },
+        { file: 'out/bundle.Time.mjs', sizes: { raw: 500, gzip: 300 }, hash: '22222222' },
+    ]
+    expect(sizeDiff(before, after)).toEqual([
+        'out/bundle.shared.5e6f7a8b.mjs 72.1KiB (17.3KiB gzip) (+12B gzip)',
+        'out/bundle.Clock.mjs 300B (200B gzip) (unchanged)',
+        'out/bundle.Time.mjs 500B (300B gzip) (new)',
+        'out/bundle.Quotes.mjs (removed)',
+    ])
+})
+
+test('Only list the files whose content changed', () => {
+    const before = [
+        { file: 'out/bundle.shared.mjs', sizes: { raw: 100, gzip: 90 }, hash: '1a2b3c4d' },
+        { file: 'out/bundle.Clock.mjs', sizes: { raw: 300, gzip: 200 }, hash: '00000000' },
+    ]
+    const after = [
+        { file: 'out/bundle.shared.mjs', sizes: { raw: 100, gzip: 91 }, hash: '5e6f7a8b' },
+        { file: 'out/bundle.Clock.mjs', sizes: { raw: 300, gzip: 200 }, hash: '00000000' },
+        { file: 'out/bundle.Time.mjs', sizes: { raw: 500, gzip: 300 }, hash: '22222222' },
+    ]
+    expect(changedFiles(before, after)).toEqual(['out/bundle.shared.mjs', 'out/bundle.Time.mjs'])
+})
+
+test('Run once after several writes in a row', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'split-elm-bundle-'))
+    const file = path.join(dir, 'bundle.js')
+    await fs.writeFile(file, '')
+    const run = vi.fn(async () => {})
+    const watcher = watchFiles([file], run, { delay: 200 })
+    // synchronous writes, so that a busy machine does not spread them beyond the delay
+    for (let i = 0; i < 5; i++) {
+        writeFileSync(file, `// write ${i}`)
+    }
+    await vi.waitFor(() => expect(run).toHaveBeenCalled(), { timeout: 2000 })
+    await new Promise(resolve => setTimeout(resolve, 500))
+    expect(run).toHaveBeenCalledTimes(1)
+    watcher.close()
+    await fs.rm(dir, { recursive: true })
+})
+
+test('Keep watching after a failed split', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'split-elm-bundle-'))
+    const file = path.join(dir, 'bundle.js')
+    await fs.writeFile(file, 'not a compiled Elm bundle')
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const effects = { printLogs: false, writeFiles: true }
+    const splitFile = vi.fn(file => split(file, effects, { mode: 'shared' }))
+
+    const watcher = await splitOnChange([file], splitFile, { delay: 50 })
+    expect(error).toHaveBeenCalledWith(expect.stringContaining(`Could not split ${file}`))
+    const compiled = 'examples/from-aide/compiled/BrowserSandbox+BrowserElement.js'
+    await fs.copyFile(compiled, file)
+    await vi.waitFor(() => expect(splitFile).toHaveBeenCalledTimes(2), { timeout: 10_000 })
+    expect(await splitFile.mock.results[1].value).toMatchObject({
+        result: 'split-programs-one-shared',
+    })
+    expect(await fs.readdir(dir)).toContain('bundle.shared.mjs')
+
+    watcher.close()
+    vi.restoreAllMocks()
+    await fs.rm(dir, { recursive: true })
+})